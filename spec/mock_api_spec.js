@@ -1,10 +1,17 @@
 import 'babel-polyfill';
 import fs from 'fs';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import { dirname } from 'path';
 import nock from 'nock';
 import request from 'supertest';
 import { expect } from 'chai';
 import { spy as spyOn } from 'sinon';
-import { start, close } from '../src/mock_api.js';
+import selfsigned from 'selfsigned';
+import { start, close, detectDrift, importHAR, exportHAR } from '../src/mock_api.js';
+import { parseArgs, getOptions } from '../src/cli.js';
 
 const PROD_ROOT_URL = 'http://localhost:4444';
 const RESPONSES_DIR = `${__dirname}/responses`;
@@ -19,6 +26,32 @@ const DEFAULT_OPTIONS = {
   quiet: true
 };
 
+function removeFixtures(...paths) {
+  paths
+    .reduce((allPaths, path) => allPaths.concat(path, `${path}.meta`), [])
+    .forEach(path => {
+      try {
+        fs.accessSync(path, fs.F_OK);
+      } catch (e) {
+        return;
+      }
+      fs.unlinkSync(path);
+    });
+
+  // Remove the directories nested fixtures were saved in, once empty
+  paths.forEach(path => {
+    let directory = dirname(path);
+    while (directory !== RESPONSES_DIR) {
+      try {
+        fs.rmdirSync(directory);
+      } catch (e) {
+        return;
+      }
+      directory = dirname(directory);
+    }
+  });
+}
+
 describe('start()', function() {
   describe('Initialization', function() {
     it('calls the passed in callback with an error when fixturesPath is not specified', function(done) {
@@ -39,6 +72,13 @@ describe('start()', function() {
       });
     });
 
+    it('calls the passed in callback with an error when mode is invalid', function(done) {
+      start({ ...DEFAULT_OPTIONS, mode: 'replay' }, (err) => {
+        expect(err).to.be.an('error');
+        done();
+      });
+    });
+
     it('does not pass in an error, and populates result.app and result.servers when prodRootURL and fixturesPath are specified', function(done) {
       start({
         prodRootURL: 'http://www.refinery29.com',
@@ -60,6 +100,156 @@ describe('start()', function() {
     });
   });
 
+  describe('Without a callback', function() {
+    it('resolves to an instance that closes its own servers', function() {
+      return start({ ...DEFAULT_OPTIONS, ports: [4600] })
+        .then(instance => {
+          const [ server ] = instance.servers;
+          expect(server.active).to.be.true;
+          return instance.close().then(() => {
+            expect(server.active).to.be.false;
+          });
+        });
+    });
+
+    it('rejects when the options are invalid', function() {
+      return start({ ...DEFAULT_OPTIONS, mode: 'replay' })
+        .then(() => {
+          throw Error('Expected start() to reject');
+        }, err => {
+          expect(err.message).to.match(/Invalid mode/);
+        });
+    });
+
+    it('keeps the servers of separate instances apart', function() {
+      return Promise.all([
+        start({ ...DEFAULT_OPTIONS, ports: [4601] }),
+        start({ ...DEFAULT_OPTIONS, ports: [4602] })
+      ]).then(([first, second]) => {
+        expect(first.servers.map(server => server.port)).to.deep.equal([4601]);
+        expect(second.servers.map(server => server.port)).to.deep.equal([4602]);
+        return first.close().then(() => {
+          expect(second.servers[0].active).to.be.true;
+          return second.close();
+        });
+      });
+    });
+  });
+
+  describe('Listening on ports', function() {
+    it('listens on a free port when given port 0, and reports it', function() {
+      return start({ ...DEFAULT_OPTIONS, ports: [0] })
+        .then(instance => {
+          const [ server ] = instance.servers;
+          expect(server.port).to.be.above(0);
+          expect(server.port).to.equal(server.server.address().port);
+          return instance.close();
+        });
+    });
+
+    it('binds to the given host', function() {
+      return start({ ...DEFAULT_OPTIONS, ports: [0], host: '127.0.0.1' })
+        .then(instance => {
+          expect(instance.servers[0].server.address().address).to.equal('127.0.0.1');
+          return instance.close();
+        });
+    });
+
+    it('calls back with an error when a port is specified more than once', function(done) {
+      start({ ...DEFAULT_OPTIONS, ports: [4610, 4610] }, (err) => {
+        expect(err.message).to.match(/Port 4610 specified more than once/);
+        done();
+      });
+    });
+
+    it('calls back with an error when a port is invalid', function(done) {
+      start({ ...DEFAULT_OPTIONS, ports: ['4610'] }, (err) => {
+        expect(err.message).to.match(/Invalid port/);
+        done();
+      });
+    });
+
+    it('calls back with an error when a redact pattern is invalid', function(done) {
+      start({ ...DEFAULT_OPTIONS, redact: { patterns: ['(unclosed'] } }, (err) => {
+        expect(err.message).to.match(/Invalid redact pattern/);
+        done();
+      });
+    });
+
+    it('calls back with an error, closing the other servers, when a port is in use', function() {
+      return start({ ...DEFAULT_OPTIONS, ports: [4611] })
+        .then(first => start({ ...DEFAULT_OPTIONS, ports: [4612, 4611] })
+          .then(() => {
+            throw Error('Expected start() to reject');
+          }, err => {
+            expect(err.code).to.equal('EADDRINUSE');
+            expect(err.message).to.match(/Port 4611 is already in use/);
+            return first.close();
+          })
+          .then(() => start({ ...DEFAULT_OPTIONS, ports: [4612] }))
+          .then(instance => instance.close())
+        );
+    });
+  });
+
+  describe('Serving HTTPS', function() {
+    const route = '/persisted_json_route';
+    const jsonResponse = JSON.parse(fs.readFileSync(`${RESPONSES_DIR}${route}.json`, 'utf8'));
+
+    function getOverHTTPS(port, ca, callback) {
+      https.get({ host: 'localhost', port, path: route, ca }, res => {
+        let body = '';
+        res.on('data', chunk => {
+          body += chunk;
+        });
+        res.on('end', () => callback(null, res, JSON.parse(body)));
+      }).on('error', callback);
+    }
+
+    it('serves over HTTP and HTTPS side by side, with a self-signed certificate', function(done) {
+      start({ ...DEFAULT_OPTIONS, ports: [0], https: { ports: [0] } }, (err, instance) => {
+        const [ httpServer, httpsServer ] = instance.servers;
+        expect(httpServer.protocol).to.equal('http');
+        expect(httpsServer.protocol).to.equal('https');
+        expect(instance.certificate).to.match(/BEGIN CERTIFICATE/);
+
+        getOverHTTPS(httpsServer.port, instance.certificate, (err, res, body) => {
+          expect(err).to.not.exist;
+          expect(res.statusCode).to.equal(200);
+          expect(body).to.deep.equal(jsonResponse);
+          instance.close(done);
+        });
+      });
+    });
+
+    it('serves with a supplied key and certificate', function(done) {
+      const pems = selfsigned.generate([{ name: 'commonName', value: 'localhost' }], { days: 1 });
+      const key = `${os.tmpdir()}/highwind-spec-key.pem`;
+      const cert = `${os.tmpdir()}/highwind-spec-cert.pem`;
+      fs.writeFileSync(key, pems.private);
+      fs.writeFileSync(cert, pems.cert);
+
+      start({ ...DEFAULT_OPTIONS, ports: [], https: { ports: [0], key, cert } }, (err, instance) => {
+        fs.unlinkSync(key);
+        fs.unlinkSync(cert);
+        expect(instance.certificate).to.equal(pems.cert);
+
+        getOverHTTPS(instance.servers[0].port, pems.cert, (err, res, body) => {
+          expect(err).to.not.exist;
+          expect(body).to.deep.equal(jsonResponse);
+          instance.close(done);
+        });
+      });
+    });
+
+    it('calls back with an error when only one of the key and certificate is supplied', function(done) {
+      start({ ...DEFAULT_OPTIONS, https: { ports: [0], key: '/nonexistent/key.pem' } }, (err) => {
+        expect(err.message).to.match(/https.key and https.cert/);
+        done();
+      });
+    });
+  });
+
   describe('Handling routes', function() {
     describe('When there is no override', function() {
       describe('And there is no response matching a given route', function() {
@@ -67,8 +257,8 @@ describe('start()', function() {
         const route = '/non_persisted_json_route';
         const response = JSON.stringify({'source': 'Remote API'});
 
-        const responsePath = RESPONSES_DIR + route + '.json';
-        const responsePathWithCallback = RESPONSES_DIR + route + JSONP_CALLBACK + '.json';
+        const responsePath = `${RESPONSES_DIR}${route}/__.GET.json`;
+        const responsePathWithCallback = `${RESPONSES_DIR}${route}/__callback=test.GET.json`;
 
         describe('When the request method is GET', function() {
           describe('And the saveFixtures setting is set to true', function() {
@@ -88,14 +278,7 @@ describe('start()', function() {
 
             afterEach(function() {
               close(mockAPI.servers);
-              [responsePath, responsePathWithCallback].forEach(path => {
-                try {
-                  fs.accessSync(path, fs.F_OK);
-                } catch (e) {
-                  return;
-                }
-                fs.unlinkSync(path);
-              });
+              removeFixtures(responsePath, responsePathWithCallback);
             });
 
             it('persists and responds with a response from the production API', function(done) {
@@ -172,7 +355,21 @@ describe('start()', function() {
         });
 
         describe('When the request method is not GET', function() {
+          const reqBody = { query: 'foo' };
+          const bodyHash = crypto
+            .createHash('sha1')
+            .update(JSON.stringify(reqBody))
+            .digest('hex')
+            .slice(0, 10);
+          const postResponsePath = `${RESPONSES_DIR}${route}/__.POST.${bodyHash}.json`;
+
           beforeEach(function(done) {
+            nock(PROD_ROOT_URL)
+              .post(route, reqBody)
+              .reply(201, response, {
+                'Content-Type': 'application/json'
+              });
+
             start(DEFAULT_OPTIONS, (err, result) => {
               mockAPI = result;
               done();
@@ -181,14 +378,327 @@ describe('start()', function() {
 
           afterEach(function() {
             close(mockAPI.servers);
+            nock.cleanAll();
+            removeFixtures(postResponsePath);
           });
 
-          it('does not call the production API and returns an error', function(done) {
+          it('forwards the method and body to the production API and persists the response keyed by method and body hash', function(done) {
             request(mockAPI.app)
-              .put(route)
-              .expect(500, '', done);
+              .post(route)
+              .send(reqBody)
+              .expect('Content-Type', /application\/json/)
+              .expect(201)
+              .end((err, res) => {
+                expect(res.text).to.equal(response);
+                fs.access(postResponsePath, fs.F_OK, done);
+              });
+          });
+
+          it('replays the persisted response for an identical request without hitting the production API', function(done) {
+            request(mockAPI.app)
+              .post(route)
+              .send(reqBody)
+              .end(() => {
+                request(mockAPI.app)
+                  .post(route)
+                  .send(reqBody)
+                  .expect(201, response, done);
+              });
+          });
+        });
+      });
+
+      describe('And the request has a large body', function() {
+        let mockAPI;
+        const route = '/non_persisted_upload_route';
+        const upload = Buffer.alloc(200 * 1024, 'a');
+
+        afterEach(function() {
+          close(mockAPI.servers);
+          nock.cleanAll();
+        });
+
+        it('forwards bodies up to the bodyLimit, and rejects larger ones', function(done) {
+          const scope = nock(PROD_ROOT_URL)
+            .post(route, body => body.length === upload.length)
+            .reply(201, { uploaded: true });
+
+          start({ ...DEFAULT_OPTIONS, saveFixtures: false }, (err, result) => {
+            mockAPI = result;
+            if (err) {
+              return done(err);
+            }
+            return request(mockAPI.app)
+              .post(route)
+              .set('Content-Type', 'application/octet-stream')
+              .send(upload)
+              .expect(201, { uploaded: true })
+              .end((uploadErr) => {
+                if (uploadErr) {
+                  return done(uploadErr);
+                }
+                expect(scope.isDone()).to.be.true;
+                close(mockAPI.servers);
+                return start({ ...DEFAULT_OPTIONS, saveFixtures: false, bodyLimit: '100kb' }, (limitErr, limited) => {
+                  mockAPI = limited;
+                  if (limitErr) {
+                    return done(limitErr);
+                  }
+                  return request(mockAPI.app)
+                    .post(route)
+                    .set('Content-Type', 'application/octet-stream')
+                    .send(upload)
+                    .expect(413, done);
+                });
+              });
+          });
+        });
+      });
+
+      describe('And the production API responds without a body', function() {
+        let mockAPI;
+        const route = '/non_persisted_deleted_route';
+        const responsePath = `${RESPONSES_DIR}${route}/__.DELETE.json`;
+
+        beforeEach(function(done) {
+          nock(PROD_ROOT_URL)
+            .delete(route)
+            .reply(204, '', { 'Content-Type': 'application/json' });
+
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done(err);
+          });
+        });
+
+        afterEach(function() {
+          close(mockAPI.servers);
+          nock.cleanAll();
+          removeFixtures(responsePath);
+        });
+
+        it('persists the status alongside an empty response and replays it', function(done) {
+          request(mockAPI.app)
+            .delete(route)
+            .expect(204)
+            .end((fetchErr) => {
+              if (fetchErr) {
+                return done(fetchErr);
+              }
+              expect(fs.readFileSync(responsePath, 'utf8')).to.equal('');
+              return request(mockAPI.app)
+                .delete(route)
+                .expect(204)
+                .expect('Content-Type', /application\/json/, done);
+            });
+        });
+      });
+
+      describe('And the production API responds with a non-200 status and headers', function() {
+        let mockAPI;
+        const route = '/non_persisted_redirect_route';
+        const responsePath = `${RESPONSES_DIR}${route}/__.GET.json`;
+        const headers = {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'max-age=60',
+          'Location': `${PROD_ROOT_URL}/redirected_route`,
+          'Set-Cookie': ['session=abc', 'locale=en']
+        };
+
+        beforeEach(function(done) {
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .reply(302, {}, headers);
+
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        afterEach(function() {
+          close(mockAPI.servers);
+          nock.cleanAll();
+          removeFixtures(responsePath);
+        });
+
+        it('persists the status and headers alongside the response and replays them', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect(302)
+            .end((fetchErr) => {
+              if (fetchErr) {
+                return done(fetchErr);
+              }
+              return request(mockAPI.app)
+                .get(route)
+                .expect(302)
+                .expect('Cache-Control', 'max-age=60')
+                .expect('Location', '/redirected_route')
+                .end((err, res) => {
+                  if (err) {
+                    return done(err);
+                  }
+                  expect(res.headers['set-cookie']).to.deep.equal(['session=abc', 'locale=en']);
+                  return fs.access(`${responsePath}.meta`, fs.F_OK, done);
+                });
+            });
+        });
+      });
+
+      describe('And responses are redacted before being saved', function() {
+        let mockAPI;
+        const route = '/non_persisted_redacted_route';
+        const responsePath = `${RESPONSES_DIR}${route}/__.GET.json`;
+        const remoteResponse = {
+          user: { id: 29, email: 'highwind@example.com', name: 'Cid' },
+          sessions: [{ token: 'abc123', createdAt: '2016-01-01' }],
+          bio: 'Reach me at cid@example.com, PIN 1234'
+        };
+        const redactedResponse = {
+          user: { id: '[REDACTED]', email: '[REDACTED]', name: 'Cid' },
+          sessions: [{ token: '[REDACTED]', createdAt: '2016-01-01' }],
+          bio: 'Reach me at [REDACTED], [REDACTED]',
+          redacted: true
+        };
+
+        beforeEach(function(done) {
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .reply(200, remoteResponse, {
+              'Content-Type': 'application/json',
+              'Set-Cookie': 'session=abc123',
+              'X-Request-Id': '42'
+            });
+
+          start({
+            ...DEFAULT_OPTIONS,
+            redact: {
+              paths: ['user.id'],
+              keys: ['EMAIL', /token/i],
+              patterns: [/[\w.]+@example\.com/, 'PIN \\d+'],
+              headers: ['set-cookie'],
+              transform: (data, { isJson }) => (isJson ? { ...data, redacted: true } : data)
+            }
+          }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        afterEach(function() {
+          close(mockAPI.servers);
+          nock.cleanAll();
+          removeFixtures(responsePath);
+        });
+
+        it('saves and serves the redacted response and headers', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect(200, redactedResponse)
+            .end((err, res) => {
+              expect(res.headers['set-cookie']).to.not.exist;
+              expect(JSON.parse(fs.readFileSync(responsePath, 'utf8'))).to.deep.equal(redactedResponse);
+
+              const meta = JSON.parse(fs.readFileSync(`${responsePath}.meta`, 'utf8'));
+              expect(meta.headers['set-cookie']).to.not.exist;
+              expect(meta.headers['x-request-id']).to.equal('42');
+              done(err);
+            });
+        });
+      });
+
+      describe('And the production API responds with a binary content type', function() {
+        let mockAPI;
+        const route = '/non_persisted_image_route';
+        const responsePath = `${RESPONSES_DIR}${route}/__.GET.png`;
+        const response = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+
+        beforeEach(function(done) {
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .reply(200, response, { 'Content-Type': 'image/png' });
+
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        afterEach(function() {
+          close(mockAPI.servers);
+          nock.cleanAll();
+          removeFixtures(responsePath);
+        });
+
+        it('persists the response with an extension matching its content type and replays the bytes', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect('Content-Type', 'image/png')
+            .end(() => {
+              expect(fs.readFileSync(responsePath)).to.deep.equal(response);
+              request(mockAPI.app)
+                .get(route)
+                .expect('Content-Type', 'image/png')
+                .expect(200)
+                .end((err, res) => {
+                  expect(res.body).to.deep.equal(response);
+                  done(err);
+                });
+            });
+        });
+      });
+
+      describe('And there is a file with another extension matching a given route', function() {
+        let mockAPI;
+        const route = '/persisted_csv_route';
+        const responsePath = RESPONSES_DIR + route + '.csv';
+        const response = fs.readFileSync(responsePath, 'utf8');
+
+        before(function(done) {
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        after(function() {
+          close(mockAPI.servers);
+        });
+
+        it('responds with the locally persisted response and a Content-Type inferred from its extension', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect('Content-Type', /text\/csv/)
+            .expect(200, response, done);
+        });
+      });
+
+      describe('And there is a JSON file with persisted metadata matching a given route', function() {
+        let mockAPI;
+        const route = '/persisted_meta_route';
+        const responsePath = RESPONSES_DIR + route + '.json';
+        const jsonResponse = JSON.parse(fs.readFileSync(responsePath, 'utf8'));
+
+        before(function(done) {
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done();
           });
         });
+
+        after(function() {
+          close(mockAPI.servers);
+        });
+
+        it('serves the locally persisted response with its persisted status and headers', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect('Content-Type', /application\/json/)
+            .expect('ETag', '"persisted"')
+            .expect('Cache-Control', 'no-cache')
+            .expect(201, jsonResponse, done);
+        });
       });
 
       describe('And there is a JSON file matching a given route', function() {
@@ -308,18 +818,16 @@ describe('start()', function() {
         });
       });
 
-      describe('And there is a non-JSON/non-JS file matching a given route', function() {
+      describe('And there is a JSON file with template placeholders matching a given route', function() {
         let mockAPI;
-        const route = '/persisted_html_route';
-        const responsePath = RESPONSES_DIR + route + '.html';
-        const response = fs.readFileSync(responsePath, 'utf8');
+        const route = '/persisted_template_route';
+        const modOptions = {
+          ...DEFAULT_OPTIONS,
+          queryStringIgnore: [/\?page=\d+$/]
+        };
 
         before(function(done) {
-          nock(PROD_ROOT_URL)
-            .get(route)
-            .replyWithError('Fake API hit the production API');
-
-          start(DEFAULT_OPTIONS, (err, result) => {
+          start(modOptions, (err, result) => {
             mockAPI = result;
             done();
           });
@@ -329,31 +837,1486 @@ describe('start()', function() {
           close(mockAPI.servers);
         });
 
-        it('responds with the locally persisted response as `text/html` and does not hit the production API', function(done) {
+        it('renders the placeholders with values from the request', function(done) {
           request(mockAPI.app)
-            .get(route)
-            .expect('Content-Type', /text\/html/)
-            .expect(200, response, done);
+            .get(route + '?page=2')
+            .set('X-User', 'alice "admin"')
+            .expect(200, {
+              title: 'Templated JSON Response for ',
+              page: 2,
+              user: 'alice "admin"',
+              missing: ''
+            }, done);
         });
       });
-    });
 
-    describe('When there is an override for a given route', function() {
-      describe('And there is a response with header params specified in the override', function() {
+      describe('And a fixtureRoutes pattern matches a given route', function() {
         let mockAPI;
-        const route = '/overridden_route';
-        const response = 'overridden response';
         const modOptions = {
           ...DEFAULT_OPTIONS,
-          overrides: {
-            get: [
-              {
-                route,
-                response,
-                status: 503,
-                headers: { 'Content-Type': 'text/plain' }
-              }
-            ]
+          fixtureRoutes: {
+            '/articles/:slug': 'persisted_template_route',
+            '/js_requests/:id': 'persisted_js_request_route'
+          }
+        };
+
+        before(function(done) {
+          nock(PROD_ROOT_URL)
+            .get(/articles|js_requests/)
+            .replyWithError('Fake API hit the production API');
+
+          start(modOptions, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        after(function() {
+          close(mockAPI.servers);
+          nock.cleanAll();
+        });
+
+        it('serves the fixture mapped to the pattern with the route params', function(done) {
+          request(mockAPI.app)
+            .get('/articles/hello-world?page=1')
+            .expect(200, {
+              title: 'Templated JSON Response for hello-world',
+              page: 1,
+              user: '',
+              missing: ''
+            }, done);
+        });
+
+        it('calls JS fixtures with the request', function(done) {
+          request(mockAPI.app)
+            .post('/js_requests/1?draft=true')
+            .send({ title: 'New article' })
+            .expect(200, {
+              title: 'JS to JSON Response for a request',
+              method: 'POST',
+              query: { draft: 'true' },
+              body: { title: 'New article' }
+            }, done);
+        });
+      });
+
+      describe('And there is a non-JSON/non-JS file matching a given route', function() {
+        let mockAPI;
+        const route = '/persisted_html_route';
+        const responsePath = RESPONSES_DIR + route + '.html';
+        const response = fs.readFileSync(responsePath, 'utf8');
+
+        before(function(done) {
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .replyWithError('Fake API hit the production API');
+
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        after(function() {
+          close(mockAPI.servers);
+        });
+
+        it('responds with the locally persisted response as `text/html` and does not hit the production API', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect('Content-Type', /text\/html/)
+            .expect(200, response, done);
+        });
+      });
+    });
+
+    describe('When forwarding headers to the production API', function() {
+      let mockAPI;
+      const route = '/non_persisted_header_route';
+      const responsePath = `${RESPONSES_DIR}${route}/__.GET.json`;
+      const response = { source: 'Remote API' };
+
+      beforeEach(function(done) {
+        nock(PROD_ROOT_URL, {
+          reqheaders: {
+            'cookie': 'session=abc',
+            'x-api-token': 'secret'
+          }
+        })
+          .get(route)
+          .reply(200, response);
+
+        const modOptions = {
+          ...DEFAULT_OPTIONS,
+          forwardHeaders: ['Cookie'],
+          prodHeaders: { 'X-Api-Token': 'secret' }
+        };
+        start(modOptions, (err, result) => {
+          mockAPI = result;
+          done();
+        });
+      });
+
+      afterEach(function() {
+        close(mockAPI.servers);
+        nock.cleanAll();
+        removeFixtures(responsePath);
+      });
+
+      it('forwards allowed request headers along with the prodHeaders', function(done) {
+        request(mockAPI.app)
+          .get(route)
+          .set('Cookie', 'session=abc')
+          .expect(200, response, done);
+      });
+    });
+
+    describe('When naming fixtures', function() {
+      let mockAPI;
+      const response = { source: 'Remote API' };
+      const nestedDirectory = `${RESPONSES_DIR}/non_persisted_nested_route`;
+
+      beforeEach(function() {
+        nock(PROD_ROOT_URL)
+          .get(/non_persisted_nested_route/)
+          .reply(200, response);
+      });
+
+      afterEach(function() {
+        close(mockAPI.servers);
+        nock.cleanAll();
+      });
+
+      describe('with the default layout', function() {
+        beforeEach(function(done) {
+          start(DEFAULT_OPTIONS, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        it('saves the fixture in directories matching the path, named after the query string and method', function(done) {
+          const fixturePath = `${nestedDirectory}/a:b/__x=1&url=http%3A%2F%2Fexample.com.GET.json`;
+          const encodedFixturePath = `${nestedDirectory}/a%3Ab/__x=1&url=http%253A%252F%252Fexample.com.GET.json`;
+
+          request(mockAPI.app)
+            .get('/non_persisted_nested_route/a:b?x=1&url=http%3A%2F%2Fexample.com')
+            .expect(200, response)
+            .end((err) => {
+              expect(fs.existsSync(fixturePath)).to.be.false;
+              expect(fs.existsSync(encodedFixturePath)).to.be.true;
+              removeFixtures(encodedFixturePath);
+              done(err);
+            });
+        });
+
+        it('shortens overlong file names with a hash', function(done) {
+          const query = `?q=${'a'.repeat(300)}`;
+
+          request(mockAPI.app)
+            .get(`/non_persisted_nested_route${query}`)
+            .expect(200, response)
+            .end((err) => {
+              const [fileName] = fs.readdirSync(nestedDirectory).filter(file => file.endsWith('.json'));
+              expect(fileName).to.match(/^__q=a+~[0-9a-f]{10}\.GET\.json$/);
+              expect(fileName.length).to.be.below(255);
+              removeFixtures(`${nestedDirectory}/${fileName}`);
+              done(err);
+            });
+        });
+      });
+
+      describe('with varyHeaders', function() {
+        beforeEach(function(done) {
+          start({ ...DEFAULT_OPTIONS, varyHeaders: ['Accept-Language'] }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        it('keys the fixture by the values of those headers', function(done) {
+          const fixturePath = `${nestedDirectory}/__.GET.accept-language=fr.json`;
+
+          request(mockAPI.app)
+            .get('/non_persisted_nested_route')
+            .set('Accept-Language', 'fr')
+            .expect(200, response)
+            .end((err) => {
+              expect(fs.existsSync(fixturePath)).to.be.true;
+              removeFixtures(fixturePath);
+              done(err);
+            });
+        });
+      });
+
+      describe('with a fixtureResolver', function() {
+        const jsonResponse = JSON.parse(fs.readFileSync(`${RESPONSES_DIR}/persisted_json_route.json`, 'utf8'));
+
+        beforeEach(function(done) {
+          const fixtureResolver = (req) => req.path === '/resolved_route' && 'persisted_json_route';
+
+          start({ ...DEFAULT_OPTIONS, fixtureResolver }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        it('serves the fixture at the path it returns', function(done) {
+          request(mockAPI.app)
+            .get('/resolved_route')
+            .expect(200, jsonResponse, done);
+        });
+
+        it('falls back to the default layout when it returns nothing', function(done) {
+          request(mockAPI.app)
+            .get('/persisted_json_route')
+            .expect(200, jsonResponse, done);
+        });
+      });
+    });
+
+    describe('When a mode is specified', function() {
+      let mockAPI;
+      const route = '/non_persisted_mode_route';
+      const responsePath = `${RESPONSES_DIR}${route}/__.GET.json`;
+      const legacyResponsePath = RESPONSES_DIR + route + '.json';
+      const localResponse = { source: 'Local fixture' };
+      const remoteResponse = { source: 'Remote API' };
+
+      afterEach(function() {
+        close(mockAPI.servers);
+        nock.cleanAll();
+        removeFixtures(responsePath, legacyResponsePath);
+      });
+
+      describe('And the mode is replay-only', function() {
+        beforeEach(function(done) {
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .replyWithError('Fake API hit the production API');
+
+          start({ ...DEFAULT_OPTIONS, mode: 'replay-only' }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+
+          spyOn(console, 'error');
+        });
+
+        afterEach(function() {
+          console.error.restore();
+        });
+
+        it('responds with a 501 and reports the missing fixture without hitting the production API', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect('Content-Type', /application\/json/)
+            .expect(501)
+            .end((err, res) => {
+              expect(res.body.fixture).to.equal(responsePath);
+              expect(mockAPI.missingFixtures).to.deep.equal([
+                { method: 'GET', path: route, fileName: responsePath }
+              ]);
+              expect(console.error.called).to.be.true;
+              done(err);
+            });
+        });
+
+        it('serves existing fixtures', function(done) {
+          fs.writeFileSync(legacyResponsePath, JSON.stringify(localResponse));
+          request(mockAPI.app)
+            .get(route)
+            .expect(200, localResponse, done);
+        });
+      });
+
+      describe('And the mode is refresh', function() {
+        beforeEach(function(done) {
+          fs.writeFileSync(legacyResponsePath, JSON.stringify(localResponse));
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .reply(200, remoteResponse);
+
+          start({ ...DEFAULT_OPTIONS, mode: 'refresh' }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        it('re-fetches an existing fixture once, then serves the refreshed fixture locally', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect(200, remoteResponse)
+            .end(() => {
+              request(mockAPI.app)
+                .get(route)
+                .expect(200, remoteResponse)
+                .end((err) => {
+                  expect(JSON.parse(fs.readFileSync(responsePath, 'utf8'))).to.deep.equal(remoteResponse);
+                  done(err);
+                });
+            });
+        });
+      });
+
+      describe('And the mode is record', function() {
+        beforeEach(function(done) {
+          fs.writeFileSync(legacyResponsePath, JSON.stringify(localResponse));
+          nock(PROD_ROOT_URL)
+            .get(route)
+            .twice()
+            .reply(200, remoteResponse);
+
+          start({ ...DEFAULT_OPTIONS, mode: 'record' }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        it('fetches every request from the production API', function(done) {
+          request(mockAPI.app)
+            .get(route)
+            .expect(200, remoteResponse)
+            .end(() => {
+              request(mockAPI.app)
+                .get(route)
+                .expect(200, remoteResponse)
+                .end((err) => {
+                  expect(nock.isDone()).to.be.true;
+                  done(err);
+                });
+            });
+        });
+      });
+    });
+
+    describe('When there is a resource for a given route', function() {
+      let mockAPI;
+      const route = '/api/records';
+      const seed = JSON.parse(fs.readFileSync(`${RESPONSES_DIR}/persisted_resource_route.json`, 'utf8'));
+      const modOptions = {
+        ...DEFAULT_OPTIONS,
+        resources: {
+          [route]: 'persisted_resource_route'
+        }
+      };
+
+      before(function(done) {
+        nock(PROD_ROOT_URL)
+          .get(/api\/records/)
+          .replyWithError('Fake API hit the production API');
+
+        start(modOptions, (err, result) => {
+          mockAPI = result;
+          done(err);
+        });
+      });
+
+      afterEach(function() {
+        mockAPI.resources.reset();
+      });
+
+      after(function() {
+        close(mockAPI.servers);
+        nock.cleanAll();
+      });
+
+      it('lists the records seeded from the fixture', function(done) {
+        request(mockAPI.app)
+          .get(route)
+          .expect('X-Total-Count', '3')
+          .expect(200, seed, done);
+      });
+
+      it('paginates the records', function(done) {
+        request(mockAPI.app)
+          .get(route + '?page=2&per_page=2')
+          .expect('X-Total-Count', '3')
+          .expect(200, [seed[2]], done);
+      });
+
+      it('adds a created record with the next ID to the collection', function(done) {
+        request(mockAPI.app)
+          .post(route)
+          .send({ title: 'Created record' })
+          .expect('Location', `${route}/4`)
+          .expect(201, { id: 4, title: 'Created record' })
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return request(mockAPI.app)
+              .get(`${route}/4`)
+              .expect(200, { id: 4, title: 'Created record' }, done);
+          });
+      });
+
+      it('updates records', function(done) {
+        request(mockAPI.app)
+          .patch(`${route}/1`)
+          .send({ read: true })
+          .expect(200, { ...seed[0], read: true })
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return request(mockAPI.app)
+              .put(`${route}/1`)
+              .send({ title: 'Replaced record' })
+              .expect(200, { id: 1, title: 'Replaced record' }, done);
+          });
+      });
+
+      it('removes deleted records', function(done) {
+        request(mockAPI.app)
+          .delete(`${route}/1`)
+          .expect(204)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            expect(mockAPI.resources.records(route)).to.deep.equal(seed.slice(1));
+            return request(mockAPI.app)
+              .get(`${route}/1`)
+              .expect(404, done);
+          });
+      });
+
+      it('restores the seeded records on reset', function(done) {
+        request(mockAPI.app)
+          .delete(`${route}/1`)
+          .expect(204)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            mockAPI.resources.reset();
+            return request(mockAPI.app)
+              .get(route)
+              .expect(200, seed, done);
+          });
+      });
+
+      it('calls back with an error when the seed fixture is missing', function(done) {
+        start({ ...DEFAULT_OPTIONS, resources: { '/api/missing': 'missing_resource_route' } }, (err) => {
+          expect(err.message).to.match(/Couldn't seed resource '\/api\/missing'/);
+          done();
+        });
+      });
+    });
+
+    describe('When injecting faults', function() {
+      const route = '/persisted_json_route';
+      const jsonResponse = JSON.parse(fs.readFileSync(`${RESPONSES_DIR}${route}.json`, 'utf8'));
+
+      function startWithFaults(faults, callback) {
+        start({ ...DEFAULT_OPTIONS, ports: [0], faults }, callback);
+      }
+
+      function getFromServer(instance, onResponse) {
+        let responded = false;
+        const callback = (...args) => {
+          if (!responded) {
+            responded = true;
+            onResponse(...args);
+          }
+        };
+        const req = http.get({ port: instance.servers[0].port, path: route }, res => {
+          let body = '';
+          res.on('data', chunk => {
+            body += chunk;
+          });
+          res.on('end', () => callback(null, res, body));
+          res.on('aborted', () => callback(Error('aborted'), res, body));
+        });
+        req.on('error', callback);
+        return req;
+      }
+
+      it('responds with the error status for the given share of requests', function(done) {
+        startWithFaults({ errorRate: 1, errorStatus: 503 }, (err, instance) => {
+          request(instance.app)
+            .get(route)
+            .expect(503, { error: 'Injected fault' })
+            .end(err => {
+              expect(instance.journal.lastRequest().matched).to.deep.equal({ type: 'fault', fault: 'error' });
+              instance.close(() => done(err));
+            });
+        });
+      });
+
+      // The statuses of 10 requests to an instance with the given faults
+      function getStatuses(faults, callback) {
+        startWithFaults(faults, (err, instance) => {
+          const statuses = [];
+          const next = () => {
+            if (statuses.length === 10) {
+              return instance.close(() => callback(statuses));
+            }
+            return request(instance.app)
+              .get(route)
+              .end((err, res) => {
+                statuses.push(res.status);
+                next();
+              });
+          };
+          next();
+        });
+      }
+
+      it('makes the same decisions for the same seed', function(done) {
+        const faults = { errorRate: 0.5, seed: 29 };
+
+        getStatuses(faults, first => {
+          getStatuses(faults, second => {
+            expect(first).to.deep.equal(second);
+            expect(first).to.include(200);
+            expect(first).to.include(500);
+            done();
+          });
+        });
+      });
+
+      it('makes different decisions for different string seeds', function(done) {
+        getStatuses({ errorRate: 0.5, seed: 'alpha' }, first => {
+          getStatuses({ errorRate: 0.5, seed: 'beta' }, second => {
+            expect(first).to.not.deep.equal(second);
+            done();
+          });
+        });
+      });
+
+      it('applies the faults of a matching route over the global ones', function(done) {
+        startWithFaults({ errorRate: 1, routes: { '/persisted_:name': { errorRate: 0 } } }, (err, instance) => {
+          request(instance.app)
+            .get(route)
+            .expect(200, jsonResponse)
+            .end(() => {
+              request(instance.app)
+                .get('/persisted_html_route.html')
+                .expect(500)
+                .end(err => instance.close(() => done(err)));
+            });
+        });
+      });
+
+      it('delays requests by a latency within the given range', function(done) {
+        startWithFaults({ latency: [40, 60] }, (err, instance) => {
+          const startTime = Date.now();
+          request(instance.app)
+            .get(route)
+            .expect(200, () => {
+              expect(Date.now() - startTime).to.be.at.least(40);
+              instance.close(done);
+            });
+        });
+      });
+
+      it('throttles the response to the given bandwidth', function(done) {
+        startWithFaults({ bandwidth: 100 }, (err, instance) => {
+          const startTime = Date.now();
+          request(instance.app)
+            .get(route)
+            .expect(200, jsonResponse, (err) => {
+              // The fixture is more than 30 bytes, sent 10 bytes at a time
+              expect(Date.now() - startTime).to.be.at.least(200);
+              instance.close(() => done(err));
+            });
+        });
+      });
+
+      it('resets the connection', function(done) {
+        startWithFaults({ resetRate: 1 }, (err, instance) => {
+          getFromServer(instance, (err) => {
+            expect(err.code).to.equal('ECONNRESET');
+            instance.close(done);
+          });
+        });
+      });
+
+      it('truncates the response body', function(done) {
+        startWithFaults({ truncateRate: 1 }, (err, instance) => {
+          getFromServer(instance, (err, res, body) => {
+            expect(err).to.exist;
+            expect(body.length).to.be.below(Number(res.headers['content-length']));
+            instance.close(done);
+          });
+        });
+      });
+
+      it('leaves requests hanging until the server is closed', function(done) {
+        startWithFaults({ hangRate: 1 }, (err, instance) => {
+          let responded = false;
+          getFromServer(instance, () => {
+            responded = true;
+          });
+          global.setTimeout(() => {
+            expect(responded).to.be.false;
+            instance.close(done);
+          }, 50);
+        });
+      });
+    });
+
+    describe('When there is an OpenAPI document', function() {
+      let mockAPI;
+      const openapi = `${__dirname}/openapi.yaml`;
+
+      function startWithOpenAPI(openapiOptions, callback, options = {}) {
+        start({ ...DEFAULT_OPTIONS, ...options, openapi: { document: openapi, ...openapiOptions } }, (err, result) => {
+          mockAPI = result;
+          callback(err);
+        });
+      }
+
+      afterEach(function() {
+        if (mockAPI) {
+          close(mockAPI.servers);
+          mockAPI = null;
+        }
+      });
+
+      it('fetches routes without a fixture from production, as without a document', function(done) {
+        nock(PROD_ROOT_URL)
+          .get('/api/users/1')
+          .reply(200, { id: 1, email: 'production@example.com', roles: [] });
+
+        startWithOpenAPI({}, () => {
+          request(mockAPI.app)
+            .get('/api/users/1')
+            .expect(200, { id: 1, email: 'production@example.com', roles: [] })
+            .end((err) => {
+              nock.cleanAll();
+              done(err);
+            });
+        }, { saveFixtures: false });
+      });
+
+      it('serves an example generated from the response schema when production cannot be reached', function(done) {
+        nock(PROD_ROOT_URL)
+          .get('/api/users/1')
+          .replyWithError('Fake API hit the production API');
+
+        startWithOpenAPI({}, () => {
+          request(mockAPI.app)
+            .get('/api/users/1')
+            .expect('Content-Type', /application\/json/)
+            .expect(200, { id: 0, email: 'user@example.com', roles: ['admin'] })
+            .end((err) => {
+              nock.cleanAll();
+              expect(mockAPI.journal.lastRequest().matched)
+                .to.deep.equal({ type: 'openapi', method: 'get', path: '/api/users/{id}' });
+              done(err);
+            });
+        });
+      });
+
+      it('serves the example given in the document in replay-only mode', function(done) {
+        startWithOpenAPI({}, () => {
+          request(mockAPI.app)
+            .post('/api/users')
+            .send({ name: 'Highwind' })
+            .expect(201, { id: 29, name: 'Highwind' }, done);
+        }, { mode: 'replay-only' });
+      });
+
+      it('rejects requests that do not match the document, when failing on them', function(done) {
+        startWithOpenAPI({ validateRequests: 'fail' }, () => {
+          request(mockAPI.app)
+            .get('/api/users/abc')
+            .expect(400)
+            .end((pathErr, pathRes) => {
+              if (pathErr) {
+                return done(pathErr);
+              }
+              expect(pathRes.body.errors).to.deep.equal(['path.id should be an integer']);
+              return request(mockAPI.app)
+                .post('/api/users')
+                .send({ email: 'user@example.com' })
+                .expect(400)
+                .end((err, res) => {
+                  expect(res.body.errors).to.deep.equal(['body.name is required']);
+                  expect(mockAPI.contractViolations).to.have.length(2);
+                  done(err);
+                });
+            });
+        });
+      });
+
+      it('warns about fixtures that do not match the response schema, and still serves them', function(done) {
+        const warn = spyOn(console, 'warn');
+        startWithOpenAPI({}, () => {
+          request(mockAPI.app)
+            .get('/persisted_json_route')
+            .expect(200)
+            .end((err) => {
+              console.warn.restore();
+              expect(warn.calledOnce).to.be.true;
+              expect(mockAPI.contractViolations).to.deep.equal([{
+                kind: 'response',
+                method: 'GET',
+                path: '/persisted_json_route',
+                errors: ['body.title should be an integer']
+              }]);
+              done(err);
+            });
+        });
+      });
+
+      it('responds with a 500 for fixtures that do not match the response schema, when failing on them', function(done) {
+        const error = spyOn(console, 'error');
+        startWithOpenAPI({ validateResponses: 'fail' }, () => {
+          request(mockAPI.app)
+            .get('/persisted_json_route')
+            .expect(500)
+            .end((err, res) => {
+              console.error.restore();
+              expect(error.calledOnce).to.be.true;
+              expect(res.body.errors).to.deep.equal(['body.title should be an integer']);
+              done(err);
+            });
+        });
+      });
+
+      it('calls back with an error when the document has references it cannot follow', function(done) {
+        const document = {
+          openapi: '3.0.0',
+          paths: {
+            '/api/things': {
+              post: {
+                requestBody: { content: { 'application/json': { schema: { $ref: './schemas.yaml#/Thing' } } } },
+                responses: { 201: { description: 'Created' } }
+              }
+            }
+          }
+        };
+
+        start({ ...DEFAULT_OPTIONS, openapi: document }, (err) => {
+          expect(err.message).to.match(/Unsupported reference '.\/schemas.yaml#\/Thing'/);
+          start({
+            ...DEFAULT_OPTIONS,
+            openapi: { ...document, components: {}, paths: { '/api/things': { $ref: '#/components/pathItems/Things' } } }
+          }, (unresolvedErr) => {
+            expect(unresolvedErr.message).to.match(/Unresolved reference/);
+            done();
+          });
+        });
+      });
+
+      it('calls back with an error when the document cannot be loaded', function(done) {
+        start({ ...DEFAULT_OPTIONS, openapi: `${__dirname}/missing.yaml` }, (err) => {
+          expect(err.message).to.match(/Couldn't load the OpenAPI document/);
+          done();
+        });
+      });
+    });
+
+    describe('When watching for changes', function() {
+      let mockAPI;
+      const fixturesPath = `${os.tmpdir()}/highwind-watch-spec`;
+      // Changes are polled for, so wait a little over two polls for them
+      const WATCH_DELAY = 600;
+
+      // Gives the file a distinct mtime, however quickly it is rewritten
+      function writeLater(fileName, data) {
+        const later = new Date(Date.now() + 10000);
+        fs.writeFileSync(`${fixturesPath}/${fileName}`, data);
+        fs.utimesSync(`${fixturesPath}/${fileName}`, later, later);
+      }
+
+      beforeEach(function(done) {
+        fs.mkdirSync(fixturesPath, { recursive: true });
+        fs.writeFileSync(`${fixturesPath}/watched_route.json`, JSON.stringify({ version: 1 }));
+        fs.writeFileSync(`${fixturesPath}/watched_js_route.js`,
+          "exports.default = () => ({ version: require('./version').version });");
+        fs.writeFileSync(`${fixturesPath}/version.js`, 'module.exports = { version: 1 };');
+
+        start({
+          ...DEFAULT_OPTIONS,
+          fixturesPath,
+          ports: [0],
+          watch: true,
+          overrides: { get: [{ route: '/watched_route' }] }
+        }, (err, result) => {
+          mockAPI = result;
+          done(err);
+        });
+      });
+
+      afterEach(function(done) {
+        fs.rmdirSync(fixturesPath, { recursive: true });
+        mockAPI.close(done);
+      });
+
+      it('reloads the fixtures of overrides', function(done) {
+        this.timeout(3000);
+        request(mockAPI.app)
+          .get('/watched_route')
+          .expect(200, { version: 1 })
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            writeLater('watched_route.json', JSON.stringify({ version: 2 }));
+            return global.setTimeout(() => {
+              request(mockAPI.app)
+                .get('/watched_route')
+                .expect(200, { version: 2 }, done);
+            }, WATCH_DELAY);
+          });
+      });
+
+      it('reloads the modules JS fixtures require', function(done) {
+        this.timeout(3000);
+        request(mockAPI.app)
+          .get('/watched_js_route')
+          .expect(200, { version: 1 })
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            writeLater('version.js', 'module.exports = { version: 2 };');
+            return global.setTimeout(() => {
+              request(mockAPI.app)
+                .get('/watched_js_route')
+                .expect(200, { version: 2 }, done);
+            }, WATCH_DELAY);
+          });
+      });
+
+      it('reloads the overrides reset() restores', function(done) {
+        const response = { version: 'reloaded' };
+        mockAPI.admin.reloadConfig({ overrides: { get: [{ route: '/watched_route', response }] } });
+        mockAPI.admin.setLatency(10);
+        mockAPI.admin.reset();
+        expect(mockAPI.admin.getState().latency).to.equal(0);
+        request(mockAPI.app)
+          .get('/watched_route')
+          .expect(200, response, done);
+      });
+    });
+
+    describe('When there are several upstreams', function() {
+      let mockAPI;
+      const fixturesPath = `${os.tmpdir()}/highwind-upstreams-spec`;
+      const AUTH_ROOT_URL = 'http://localhost:4445';
+      const ADS_ROOT_URL = 'http://localhost:4446';
+      const upstreams = {
+        auth: {
+          prefix: '/auth',
+          prodRootURL: AUTH_ROOT_URL,
+          prodHeaders: { 'X-Service': 'auth' }
+        },
+        ads: {
+          host: 'ads.localhost',
+          prodRootURL: ADS_ROOT_URL,
+          fixturesPath: 'advertising',
+          queryStringIgnore: [/[?&]cb=\d+/],
+          saveFixtures: false
+        }
+      };
+
+      beforeEach(function(done) {
+        fs.mkdirSync(fixturesPath, { recursive: true });
+        start({ ...DEFAULT_OPTIONS, fixturesPath, upstreams }, (err, result) => {
+          mockAPI = result;
+          done(err);
+        });
+      });
+
+      afterEach(function() {
+        close(mockAPI.servers);
+        nock.cleanAll();
+        fs.rmdirSync(fixturesPath, { recursive: true });
+      });
+
+      it('fetches requests under a prefix from its upstream, saving them in its subdirectory', function(done) {
+        nock(AUTH_ROOT_URL, { reqheaders: { 'X-Service': 'auth' } })
+          .get('/login')
+          .reply(200, { token: 'abc' });
+
+        request(mockAPI.app)
+          .get('/auth/login')
+          .expect(200, { token: 'abc' })
+          .end((err) => {
+            const fixture = JSON.parse(fs.readFileSync(`${fixturesPath}/auth/login/__.GET.json`, 'utf8'));
+            expect(fixture).to.deep.equal({ token: 'abc' });
+            done(err);
+          });
+      });
+
+      it('keeps redirects from an upstream under its prefix', function(done) {
+        nock(AUTH_ROOT_URL)
+          .get('/start')
+          .reply(302, '', { Location: `${AUTH_ROOT_URL}/login` });
+
+        request(mockAPI.app)
+          .get('/auth/start')
+          .expect(302)
+          .expect('Location', '/auth/login')
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return request(mockAPI.app)
+              .get('/auth/start')
+              .expect(302)
+              .expect('Location', '/auth/login', done);
+          });
+      });
+
+      it('fetches requests for a host from its upstream, with its own options', function(done) {
+        nock(ADS_ROOT_URL)
+          .get('/banner?cb=123')
+          .reply(200, { ad: 'banner' });
+
+        request(mockAPI.app)
+          .get('/banner?cb=123')
+          .set('Host', 'ads.localhost')
+          .expect(200, { ad: 'banner' })
+          .end((err) => {
+            expect(fs.existsSync(`${fixturesPath}/advertising`)).to.be.false;
+            done(err);
+          });
+      });
+
+      it('serves the fixtures in the subdirectory of an upstream', function(done) {
+        fs.mkdirSync(`${fixturesPath}/advertising/banner`, { recursive: true });
+        fs.writeFileSync(`${fixturesPath}/advertising/banner/__.GET.json`, JSON.stringify({ ad: 'saved' }));
+
+        request(mockAPI.app)
+          .get('/banner?cb=456')
+          .set('Host', 'ads.localhost')
+          .expect(200, { ad: 'saved' }, done);
+      });
+
+      it('calls back with an error when an upstream has no prodRootURL', function(done) {
+        start({ ...DEFAULT_OPTIONS, upstreams: { auth: { prefix: '/auth' } } }, (err) => {
+          expect(err).to.be.an('error');
+          done();
+        });
+      });
+    });
+
+    describe('When logging', function() {
+      let mockAPI;
+      let messages;
+      const route = '/persisted_json_route';
+      const logger = ['debug', 'info', 'warn', 'error'].reduce((methods, level) => {
+        return { ...methods, [level]: (message, event) => messages.push({ level, message, event }) };
+      }, {});
+
+      beforeEach(function() {
+        mockAPI = null;
+        messages = [];
+      });
+
+      afterEach(function(done) {
+        if (!mockAPI) {
+          return done();
+        }
+        return mockAPI.close(done);
+      });
+
+      it('logs structured events at or above the logLevel to the logger', function(done) {
+        start({ ...DEFAULT_OPTIONS, ports: [0], quiet: false, logger, logLevel: 'info' }, (err, result) => {
+          mockAPI = result;
+          if (err) {
+            return done(err);
+          }
+          return request(mockAPI.app)
+            .get(route)
+            .expect(200)
+            .end((requestErr) => {
+              if (requestErr) {
+                return done(requestErr);
+              }
+              const served = messages.find(({ event }) => event.event === 'fixture.served');
+              expect(served.level).to.equal('info');
+              expect(served.message).to.equal(`==> 📁  Serving local response from ${RESPONSES_DIR}${route}.json`);
+              expect(served.event).to.include({ level: 'info', fileName: `${RESPONSES_DIR}${route}.json` });
+              expect(served.event.time).to.be.a('string');
+              expect(messages.map(({ event }) => event.event)).to.not.include('request.served');
+              return done();
+            });
+        });
+      });
+
+      it('leaves only warnings and errors when quiet', function(done) {
+        start({ ...DEFAULT_OPTIONS, ports: [0], logger }, (err, result) => {
+          mockAPI = result;
+          if (err) {
+            return done(err);
+          }
+          return request(mockAPI.app)
+            .get(route)
+            .expect(200)
+            .end((requestErr) => {
+              expect(messages).to.have.length(0);
+              done(requestErr);
+            });
+        });
+      });
+
+      it('prints JSON events to the console', function(done) {
+        start({ ...DEFAULT_OPTIONS, ports: [0], quiet: false, logFormat: 'json' }, (err, result) => {
+          mockAPI = result;
+          if (err) {
+            return done(err);
+          }
+          const info = spyOn(console, 'info');
+          return request(mockAPI.app)
+            .get(route)
+            .expect(200)
+            .end((requestErr) => {
+              console.info.restore();
+              if (requestErr) {
+                return done(requestErr);
+              }
+              const [ line ] = info.args[0];
+              expect(JSON.parse(line)).to.include({ event: 'fixture.served', level: 'info' });
+              return done();
+            });
+        });
+      });
+
+      it('emits every event from the instance, whatever the logLevel', function(done) {
+        start({ ...DEFAULT_OPTIONS, ports: [0], logLevel: 'silent' }, (err, result) => {
+          const events = [];
+          mockAPI = result;
+          if (err) {
+            return done(err);
+          }
+          mockAPI.on('event', event => events.push(event.event));
+          const served = new Promise(resolve => mockAPI.once('request.served', resolve));
+          return request(mockAPI.app)
+            .get(route)
+            .expect(200)
+            .end((requestErr) => {
+              if (requestErr) {
+                return done(requestErr);
+              }
+              return served
+                .then(event => {
+                  expect(event).to.include({ method: 'GET', path: route, status: 200 });
+                  expect(event.matched).to.deep.equal({ type: 'fixture', fileName: `${RESPONSES_DIR}${route}.json` });
+                  expect(events).to.deep.equal(['fixture.served', 'request.served']);
+                })
+                .then(done, done);
+            });
+        });
+      });
+
+      it('calls back with an error when the logLevel is invalid', function(done) {
+        start({ ...DEFAULT_OPTIONS, logLevel: 'verbose' }, (err) => {
+          expect(err).to.be.an('error');
+          done();
+        });
+      });
+    });
+
+    describe('When serving scenarios', function() {
+      let mockAPI;
+      const fixturesPath = `${os.tmpdir()}/highwind-scenarios-spec`;
+      const writeFixture = (fileName, data) => {
+        fs.mkdirSync(dirname(`${fixturesPath}/${fileName}`), { recursive: true });
+        fs.writeFileSync(`${fixturesPath}/${fileName}`, JSON.stringify(data));
+      };
+
+      beforeEach(function(done) {
+        writeFixture('account/__.GET.json', { plan: 'free', orders: 3 });
+        writeFixture('orders/__.GET.json', [{ id: 1 }]);
+        writeFixture('__scenarios/premium/account/__.GET.json', { plan: 'premium', orders: 3 });
+        writeFixture('__scenarios/empty/orders/__.GET.json', []);
+
+        start({
+          ...DEFAULT_OPTIONS,
+          fixturesPath,
+          mode: 'replay-only',
+          scenario: 'premium'
+        }, (err, result) => {
+          mockAPI = result;
+          done(err);
+        });
+      });
+
+      afterEach(function() {
+        close(mockAPI.servers);
+        fs.rmdirSync(fixturesPath, { recursive: true });
+      });
+
+      it('serves the fixtures of the scenario, falling back to the base fixtures', function(done) {
+        request(mockAPI.app)
+          .get('/account')
+          .expect(200, { plan: 'premium', orders: 3 })
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return request(mockAPI.app)
+              .get('/orders')
+              .expect(200, [{ id: 1 }], done);
+          });
+      });
+
+      it('serves the scenario named in the request header', function(done) {
+        request(mockAPI.app)
+          .get('/orders')
+          .set('X-Highwind-Scenario', 'empty')
+          .expect(200, [])
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return request(mockAPI.app)
+              .get('/account')
+              .set('X-Highwind-Scenario', 'empty')
+              .expect(200, { plan: 'free', orders: 3 }, done);
+          });
+      });
+
+      it('serves the scenario named in the cookie', function(done) {
+        request(mockAPI.app)
+          .get('/orders')
+          .set('Cookie', 'session=1; highwind_scenario=empty')
+          .expect(200, [], done);
+      });
+
+      it('responds with a 400 for an unknown scenario', function(done) {
+        request(mockAPI.app)
+          .get('/orders')
+          .set('X-Highwind-Scenario', '../account')
+          .expect(400, done);
+      });
+
+      it('switches and resets the scenario through the admin API', function(done) {
+        expect(mockAPI.admin.getState().scenarios).to.deep.equal(['empty', 'premium']);
+        expect(() => mockAPI.admin.setScenario('outage')).to.throw(Error);
+
+        request(mockAPI.app)
+          .put('/__highwind/scenario')
+          .send({ scenario: 'empty' })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            expect(res.body.scenario).to.equal('empty');
+            return request(mockAPI.app)
+              .get('/account')
+              .expect(200, { plan: 'free', orders: 3 })
+              .end((accountErr) => {
+                if (accountErr) {
+                  return done(accountErr);
+                }
+                mockAPI.admin.reset();
+                return request(mockAPI.app)
+                  .get('/account')
+                  .expect(200, { plan: 'premium', orders: 3 }, done);
+              });
+          });
+      });
+    });
+
+    describe('When using the admin API', function() {
+      let mockAPI;
+      const route = '/persisted_json_route';
+      const jsonResponse = JSON.parse(fs.readFileSync(`${RESPONSES_DIR}${route}.json`, 'utf8'));
+      const htmlResponse = fs.readFileSync(`${RESPONSES_DIR}/persisted_html_route.html`, 'utf8');
+      const response = { status: 'overridden response' };
+
+      before(function(done) {
+        start(DEFAULT_OPTIONS, (err, result) => {
+          mockAPI = result;
+          done(err);
+        });
+      });
+
+      afterEach(function() {
+        mockAPI.admin.reset();
+      });
+
+      after(function() {
+        close(mockAPI.servers);
+      });
+
+      it('registers and unregisters overrides', function(done) {
+        mockAPI.admin.addOverride('get', { route, response });
+        request(mockAPI.app)
+          .get(route)
+          .expect(200, response)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            mockAPI.admin.removeOverride('get', route);
+            return request(mockAPI.app)
+              .get(route)
+              .expect(200, jsonResponse, done);
+          });
+      });
+
+      it('throws when registering an invalid override, keeping the previous ones', function() {
+        mockAPI.admin.addOverride('get', { route, response });
+        expect(() => mockAPI.admin.addOverride('fetch', { route, response })).to.throw(Error);
+        expect(mockAPI.admin.getState().overrides).to.deep.equal({ get: [{ route, response }] });
+      });
+
+      it('swaps the fixture served for a route', function(done) {
+        mockAPI.admin.setFixture(route, 'persisted_html_route');
+        request(mockAPI.app)
+          .get(route)
+          .expect('Content-Type', /text\/html/)
+          .expect(200, htmlResponse, done);
+      });
+
+      it('throws when swapping in a fixture outside fixturesPath', function() {
+        expect(() => mockAPI.admin.setFixture(route, '../outside/secret')).to.throw(Error);
+        expect(mockAPI.admin.getState().swappedFixtures).to.deep.equal({});
+      });
+
+      it('changes the latency', function(done) {
+        const startTime = Date.now();
+        mockAPI.admin.setLatency(50);
+        request(mockAPI.app)
+          .get(route)
+          .expect(200, jsonResponse)
+          .end((err) => {
+            expect(Date.now() - startTime).to.be.at.least(50);
+            done(err);
+          });
+      });
+
+      it('resets to the initial configuration', function(done) {
+        mockAPI.admin.addOverride('get', { route, response });
+        mockAPI.admin.setFixture(route, 'persisted_html_route');
+        mockAPI.admin.reset();
+        request(mockAPI.app)
+          .get(route)
+          .expect(200, jsonResponse, done);
+      });
+
+      describe('over HTTP', function() {
+        it('registers overrides and responds with the resulting state', function(done) {
+          request(mockAPI.app)
+            .post('/__highwind/overrides')
+            .send({ method: 'get', route, response })
+            .expect(200)
+            .end((err, res) => {
+              if (err) {
+                return done(err);
+              }
+              expect(res.body.overrides).to.deep.equal({ get: [{ route, response }] });
+              return request(mockAPI.app)
+                .get(route)
+                .expect(200, response, done);
+            });
+        });
+
+        it('responds with a 400 when a change is invalid', function(done) {
+          request(mockAPI.app)
+            .post('/__highwind/overrides')
+            .send({ method: 'fetch', route, response })
+            .expect(400, done);
+        });
+
+        it('responds with a 400 when swapping in a fixture outside fixturesPath', function(done) {
+          request(mockAPI.app)
+            .put('/__highwind/fixtures')
+            .send({ route, fixture: 'nested/../../outside/secret' })
+            .expect(400, done);
+        });
+
+        it('swaps fixtures and resets', function(done) {
+          request(mockAPI.app)
+            .put('/__highwind/fixtures')
+            .send({ route, fixture: 'persisted_html_route' })
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                return done(err);
+              }
+              return request(mockAPI.app)
+                .get(route)
+                .expect(200, htmlResponse)
+                .end((swappedErr) => {
+                  if (swappedErr) {
+                    return done(swappedErr);
+                  }
+                  return request(mockAPI.app)
+                    .post('/__highwind/reset')
+                    .expect(200)
+                    .end((resetErr) => {
+                      if (resetErr) {
+                        return done(resetErr);
+                      }
+                      return request(mockAPI.app)
+                        .get(route)
+                        .expect(200, jsonResponse, done);
+                    });
+                });
+            });
+        });
+      });
+    });
+
+    describe('When inspecting the request journal', function() {
+      let mockAPI;
+      const route = '/persisted_json_route';
+      const response = { status: 'signed up' };
+
+      before(function(done) {
+        start({
+          ...DEFAULT_OPTIONS,
+          overrides: {
+            post: [{ route: '/api/sign_up', response }]
+          }
+        }, (err, result) => {
+          mockAPI = result;
+          done();
+        });
+      });
+
+      afterEach(function() {
+        mockAPI.journal.clear();
+      });
+
+      after(function() {
+        close(mockAPI.servers);
+      });
+
+      it('records each request with what served it', function(done) {
+        request(mockAPI.app)
+          .post('/api/sign_up?ref=home')
+          .send({ email: 'test@example.com' })
+          .expect(200, response)
+          .end(() => {
+            const entry = mockAPI.journal.lastRequest('post', '/api/sign_up');
+            expect(entry.method).to.equal('POST');
+            expect(entry.query).to.deep.equal({ ref: 'home' });
+            expect(entry.headers['content-type']).to.match(/application\/json/);
+            expect(entry.body).to.deep.equal({ email: 'test@example.com' });
+            expect(entry.matched).to.deep.equal({ type: 'override', method: 'post', route: '/api/sign_up' });
+            expect(entry.status).to.equal(200);
+            expect(entry.timestamp).to.be.an.instanceof(Date);
+            done();
+          });
+      });
+
+      it('records the fixture a request was served from', function(done) {
+        request(mockAPI.app)
+          .get(route)
+          .end(() => {
+            const entry = mockAPI.journal.lastRequest('get', route);
+            expect(entry.body).to.equal(null);
+            expect(entry.matched).to.deep.equal({ type: 'fixture', fileName: `${RESPONSES_DIR}${route}.json` });
+            done();
+          });
+      });
+
+      it('exports the journal as a HAR archive', function(done) {
+        request(mockAPI.app)
+          .post('/api/sign_up?ref=home')
+          .send({ email: 'test@example.com' })
+          .end(() => {
+            request(mockAPI.app)
+              .get('/__highwind/requests.har')
+              .expect(200)
+              .end((err, res) => {
+                const [ entry ] = res.body.log.entries;
+                expect(entry.request.method).to.equal('POST');
+                expect(entry.request.url).to.match(/\/api\/sign_up\?ref=home$/);
+                expect(entry.request.postData.text).to.equal('{"email":"test@example.com"}');
+                expect(entry.response.status).to.equal(200);
+                expect(entry.response.content.mimeType).to.match(/application\/json/);
+                expect(entry._matched).to.deep.equal({ type: 'override', method: 'post', route: '/api/sign_up' });
+                done(err);
+              });
+          });
+      });
+
+      it('counts and clears requests', function(done) {
+        request(mockAPI.app)
+          .get(route)
+          .end(() => {
+            request(mockAPI.app)
+              .get(route)
+              .end(() => {
+                expect(mockAPI.journal.wasCalled('get', route)).to.equal(true);
+                expect(mockAPI.journal.wasCalled('post', route)).to.equal(false);
+                expect(mockAPI.journal.callCount('get', /^\/persisted_/)).to.equal(2);
+                mockAPI.journal.clear();
+                expect(mockAPI.journal.callCount()).to.equal(0);
+                done();
+              });
+          });
+      });
+
+      it('serves and clears the journal over HTTP, without journaling those requests', function(done) {
+        request(mockAPI.app)
+          .get(route)
+          .end(() => {
+            request(mockAPI.app)
+              .get(`/__highwind/requests?method=get&path=${route}`)
+              .expect(200)
+              .end((err, res) => {
+                expect(res.body).to.have.length(1);
+                expect(res.body[0].path).to.equal(route);
+                request(mockAPI.app)
+                  .delete('/__highwind/requests')
+                  .expect(204)
+                  .end(() => {
+                    expect(mockAPI.journal.callCount()).to.equal(0);
+                    done();
+                  });
+              });
+          });
+      });
+
+      it('keeps only the most recent journalSize requests', function() {
+        const paths = ['/persisted_json_route', '/persisted_html_route', '/persisted_csv_route'];
+        const requestAll = instance => paths.reduce((previous, path) => {
+          return previous.then(() => request(instance.app).get(path).expect(200));
+        }, Promise.resolve());
+
+        return Promise.all([
+          start({ ...DEFAULT_OPTIONS, ports: [0], journalSize: 2 }),
+          start({ ...DEFAULT_OPTIONS, ports: [0], journalSize: 0 })
+        ]).then(([ boundedAPI, disabledAPI ]) => {
+          return Promise.all([requestAll(boundedAPI), requestAll(disabledAPI)])
+            .then(() => {
+              expect(boundedAPI.journal.requests().map(entry => entry.path))
+                .to.deep.equal(['/persisted_html_route', '/persisted_csv_route']);
+              expect(disabledAPI.journal.callCount()).to.equal(0);
+            })
+            .then(() => Promise.all([boundedAPI.close(), disabledAPI.close()]));
+        });
+      });
+
+      it('calls back with an error when the journalSize is invalid', function(done) {
+        start({ ...DEFAULT_OPTIONS, journalSize: -1 }, (err) => {
+          expect(err.message).to.match(/Invalid journalSize/);
+          done();
+        });
+      });
+    });
+
+    describe('When there is an override for a given route', function() {
+      describe('And there is a response with header params specified in the override', function() {
+        let mockAPI;
+        const route = '/overridden_route';
+        const response = 'overridden response';
+        const modOptions = {
+          ...DEFAULT_OPTIONS,
+          overrides: {
+            get: [
+              {
+                route,
+                response,
+                status: 503,
+                headers: { 'Content-Type': 'text/plain' }
+              }
+            ]
           }
         };
 
@@ -426,6 +2389,202 @@ describe('start()', function() {
         });
       });
 
+      describe('And there is a sequence of responses specified in the override', function() {
+        let mockAPI;
+        const route = '/overridden_route';
+        const failure = { error: 'Unavailable' };
+        const success = { state: 'done' };
+
+        function startWithResponses(override, callback, options = {}) {
+          start({
+            ...DEFAULT_OPTIONS,
+            ...options,
+            overrides: {
+              get: [{
+                route,
+                responses: [
+                  { status: 503, response: failure },
+                  { response: success }
+                ],
+                ...override
+              }]
+            }
+          }, (err, result) => {
+            mockAPI = result;
+            callback(err);
+          });
+        }
+
+        afterEach(function() {
+          close(mockAPI.servers);
+        });
+
+        it('serves the responses in order, then repeats the last one', function(done) {
+          startWithResponses({}, (startErr) => {
+            if (startErr) {
+              return done(startErr);
+            }
+            return request(mockAPI.app)
+              .get(route)
+              .expect(503, failure)
+              .end((err) => {
+                if (err) {
+                  return done(err);
+                }
+                return request(mockAPI.app)
+                  .get(route)
+                  .expect(200, success)
+                  .end((secondErr) => {
+                    if (secondErr) {
+                      return done(secondErr);
+                    }
+                    return request(mockAPI.app)
+                      .get(route)
+                      .expect(200, success, done);
+                  });
+              });
+          });
+        });
+
+        it('starts over once the responses run out, when cycling', function(done) {
+          startWithResponses({ responseOrder: 'cycle' }, (startErr) => {
+            if (startErr) {
+              return done(startErr);
+            }
+            return request(mockAPI.app)
+              .get(route)
+              .expect(503, failure)
+              .end((err) => {
+                if (err) {
+                  return done(err);
+                }
+                return request(mockAPI.app)
+                  .get(route)
+                  .expect(200, success)
+                  .end((secondErr) => {
+                    if (secondErr) {
+                      return done(secondErr);
+                    }
+                    return request(mockAPI.app)
+                      .get(route)
+                      .expect(503, failure, done);
+                  });
+              });
+          });
+        });
+
+        it('starts the sequence over when the admin API resets', function(done) {
+          startWithResponses({}, (startErr) => {
+            if (startErr) {
+              return done(startErr);
+            }
+            return request(mockAPI.app)
+              .get(route)
+              .expect(503, failure)
+              .end((err) => {
+                if (err) {
+                  return done(err);
+                }
+                mockAPI.admin.reset();
+                return request(mockAPI.app)
+                  .get(route)
+                  .expect(503, failure, done);
+              });
+          });
+        });
+
+        it('keeps its place in the sequence when other overrides change', function(done) {
+          startWithResponses({}, (startErr) => {
+            if (startErr) {
+              return done(startErr);
+            }
+            return request(mockAPI.app)
+              .get(route)
+              .expect(503, failure)
+              .end((err) => {
+                if (err) {
+                  return done(err);
+                }
+                mockAPI.admin.addOverride('get', { route: '/other_route', response: {} });
+                return request(mockAPI.app)
+                  .get(route)
+                  .expect(200, success, done);
+              });
+          });
+        });
+
+        it('picks responses at random, in the same order for the same faults seed', function(done) {
+          const responses = [200, 201, 202, 203].map(status => ({ status, response: {} }));
+          const serveAll = (callback, statuses = []) => {
+            if (statuses.length === 8) {
+              return callback(null, statuses);
+            }
+            return request(mockAPI.app)
+              .get(route)
+              .end((err, res) => {
+                if (err) {
+                  return callback(err);
+                }
+                return serveAll(callback, [...statuses, res.status]);
+              });
+          };
+
+          startWithResponses({ responses, responseOrder: 'random' }, (startErr) => {
+            if (startErr) {
+              return done(startErr);
+            }
+            return serveAll((err, statuses) => {
+              if (err) {
+                return done(err);
+              }
+              expect(new Set(statuses).size).to.be.above(1);
+              mockAPI.admin.reset();
+              return serveAll((resetErr, resetStatuses) => {
+                expect(resetStatuses).to.deep.equal(statuses);
+                done(resetErr);
+              });
+            });
+          }, { faults: { seed: 29 } });
+        });
+
+        it('delays responses by the latency of the override', function(done) {
+          startWithResponses({ latency: 50 }, (startErr) => {
+            if (startErr) {
+              return done(startErr);
+            }
+            const startTime = Date.now();
+            return request(mockAPI.app)
+              .get(route)
+              .expect(503, failure)
+              .end((err) => {
+                expect(Date.now() - startTime).to.be.at.least(50);
+                done(err);
+              });
+          });
+        });
+      });
+
+      describe('And the override is invalid', function() {
+        it('calls back with an error when the response order is invalid', function(done) {
+          start({
+            ...DEFAULT_OPTIONS,
+            overrides: { get: [{ route: '/overridden_route', response: {}, responseOrder: 'shuffle' }] }
+          }, (err) => {
+            expect(err.message).to.match(/Invalid responseOrder/);
+            done();
+          });
+        });
+
+        it('rejects without a callback when there is no response or matching fixture', function() {
+          return start({ ...DEFAULT_OPTIONS, overrides: { get: [{ route: '/missing_route' }] } })
+            .then(() => {
+              throw Error('Expected start() to reject');
+            }, err => {
+              expect(err.message).to.match(/no response or matching fixture/);
+            });
+        });
+      });
+
       describe('And there is a JSON response with query param expectations specified in the override', function() {
         let mockAPI;
         const route = '/overridden_route';
@@ -477,6 +2636,84 @@ describe('start()', function() {
         });
       });
 
+      describe('And there are overrides matching on headers, cookies, the body and query params', function() {
+        let mockAPI;
+        const route = '/api/checkout';
+
+        before(function(done) {
+          start({
+            ...DEFAULT_OPTIONS,
+            overrides: {
+              post: [
+                { route, response: { result: 'default' } },
+                {
+                  route,
+                  response: { result: 'premium' },
+                  withCookies: { plan: 'premium' },
+                  withBody: { 'cart.total': total => total > 100 }
+                },
+                { route, response: { result: 'beta' }, withHeaders: { 'X-Beta': true } },
+                { route, response: { result: 'gift' }, withBody: { 'cart.gift': true } },
+                { route, response: { result: 'coupon' }, withQueryParams: { coupon: /^SAVE\d+$/ } },
+                { route, response: { result: 'no body' }, withBody: body => Object.keys(body).length === 0 }
+              ]
+            }
+          }, (err, result) => {
+            mockAPI = result;
+            done();
+          });
+        });
+
+        after(function() {
+          close(mockAPI.servers);
+        });
+
+        it('serves the override with the most conditions the request meets', function(done) {
+          request(mockAPI.app)
+            .post(route)
+            .set('Cookie', 'session=1; plan=premium')
+            .set('X-Beta', '1')
+            .send({ cart: { total: 150 } })
+            .expect(200, { result: 'premium' }, done);
+        });
+
+        it('matches on the presence of a header', function(done) {
+          request(mockAPI.app)
+            .post(route)
+            .set('Cookie', 'plan=premium')
+            .set('X-Beta', '1')
+            .send({ cart: { total: 50 } })
+            .expect(200, { result: 'beta' }, done);
+        });
+
+        it('matches on body fields', function(done) {
+          request(mockAPI.app)
+            .post(route)
+            .send({ cart: { total: 50, gift: true } })
+            .expect(200, { result: 'gift' }, done);
+        });
+
+        it('matches query params with a RegExp', function(done) {
+          request(mockAPI.app)
+            .post(`${route}?coupon=SAVE10`)
+            .send({ cart: { total: 50 } })
+            .expect(200, { result: 'coupon' }, done);
+        });
+
+        it('matches the whole body with a function', function(done) {
+          request(mockAPI.app)
+            .post(route)
+            .expect(200, { result: 'no body' }, done);
+        });
+
+        it('falls back to the override without conditions', function(done) {
+          request(mockAPI.app)
+            .post(`${route}?coupon=FREE`)
+            .send({ cart: { total: 50, gift: false } })
+            .expect(200, { result: 'default' }, done);
+        });
+      });
+
       describe('And there is a JSON response with a mergeParmas callback specified in the override', function() {
         let mockAPI;
         const route = '/overridden_route';
@@ -522,6 +2759,332 @@ describe('start()', function() {
   });
 });
 
+describe('detectDrift()', function() {
+  const fixturesPath = `${os.tmpdir()}/highwind-drift-spec`;
+  const options = { prodRootURL: PROD_ROOT_URL, fixturesPath };
+  const writeFixture = (fileName, data) => {
+    fs.mkdirSync(dirname(`${fixturesPath}/${fileName}`), { recursive: true });
+    fs.writeFileSync(`${fixturesPath}/${fileName}`, JSON.stringify(data));
+  };
+
+  beforeEach(function() {
+    writeFixture('users/__.GET.json', { id: 1, name: 'Highwind', tags: [{ label: 'a' }] });
+    writeFixture('stable/__page=2.GET.json', { title: 'Stable' });
+    writeFixture('search/__.POST.0123456789.json', { results: [] });
+    writeFixture('legacy:route.json', { title: 'Legacy' });
+    writeFixture('__scenarios/empty/users/__.GET.json', { id: 1 });
+
+    nock(PROD_ROOT_URL)
+      .get('/users')
+      .reply(200, { id: '1', email: 'test@example.com', tags: [{ label: 'a', count: 2 }] })
+      .get('/stable?page=2')
+      .reply(200, { title: 'Still stable' })
+      .get('/legacy/route')
+      .reply(500, { error: 'down' });
+  });
+
+  afterEach(function() {
+    nock.cleanAll();
+    fs.rmdirSync(fixturesPath, { recursive: true });
+  });
+
+  it('reports the structural changes between fixtures and production', function() {
+    return detectDrift(options).then(results => {
+      const resultsByFile = results.reduce((byFile, result) => {
+        return { ...byFile, [result.fileName]: result };
+      }, {});
+
+      expect(resultsByFile['users/__.GET.json']).to.deep.equal({
+        fileName: 'users/__.GET.json',
+        url: `${PROD_ROOT_URL}/users`,
+        state: 'drifted',
+        changes: [
+          { path: 'id', change: 'type', from: 'number', to: 'string' },
+          { path: 'name', change: 'removed', from: 'string' },
+          { path: 'tags[].count', change: 'added', to: 'number' },
+          { path: 'email', change: 'added', to: 'string' }
+        ]
+      });
+      expect(resultsByFile['stable/__page=2.GET.json'].state).to.equal('unchanged');
+      expect(resultsByFile['search/__.POST.0123456789.json'].state).to.equal('skipped');
+      expect(resultsByFile['legacy:route.json'].state).to.equal('failed');
+      expect(resultsByFile).to.not.have.property('__scenarios/empty/users/__.GET.json');
+    });
+  });
+
+  it('updates the selected fixtures in place', function() {
+    return detectDrift({ ...options, update: ['users/__.GET.json'] }).then(results => {
+      const [ result ] = results.filter(result => result.updated);
+      expect(result.fileName).to.equal('users/__.GET.json');
+
+      const fixture = JSON.parse(fs.readFileSync(`${fixturesPath}/users/__.GET.json`, 'utf8'));
+      expect(fixture.email).to.equal('test@example.com');
+      expect(fs.existsSync(`${fixturesPath}/users/__.GET.json.meta`)).to.be.true;
+    });
+  });
+
+  it('never updates fixtures with server errors', function() {
+    return detectDrift({ ...options, update: true }).then(results => {
+      const [ result ] = results.filter(result => result.fileName === 'legacy:route.json');
+      expect(result.state).to.equal('failed');
+      expect(result).to.not.have.property('updated');
+
+      const fixture = JSON.parse(fs.readFileSync(`${fixturesPath}/legacy:route.json`, 'utf8'));
+      expect(fixture).to.deep.equal({ title: 'Legacy' });
+      expect(fs.existsSync(`${fixturesPath}/legacy:route.json.meta`)).to.be.false;
+    });
+  });
+
+  it('calls back once, even when the callback throws', function(done) {
+    const handlers = process.listeners('uncaughtException');
+    let calls = 0;
+
+    process.removeAllListeners('uncaughtException');
+    process.once('uncaughtException', (err) => {
+      handlers.forEach(handler => process.on('uncaughtException', handler));
+      expect(err.message).to.equal('Failed assertion');
+      setTimeout(() => {
+        expect(calls).to.equal(1);
+        done();
+      }, 50);
+    });
+
+    detectDrift(options, () => {
+      calls++;
+      throw Error('Failed assertion');
+    });
+  });
+
+  it('fetches the fixtures of an upstream from it', function() {
+    const authRootURL = 'http://localhost:4445';
+    writeFixture('auth/session/__.GET.json', { user: 1 });
+    nock(authRootURL)
+      .get('/session')
+      .reply(200, { user: 1 });
+
+    const upstreams = { auth: { prefix: '/auth', prodRootURL: authRootURL } };
+    return detectDrift({ ...options, upstreams }).then(results => {
+      const [ result ] = results.filter(result => result.fileName === 'auth/session/__.GET.json');
+      expect(result.url).to.equal(`${authRootURL}/session`);
+      expect(result.state).to.equal('unchanged');
+    });
+  });
+
+  it('calls back with an error when fixturesPath is not specified', function(done) {
+    detectDrift({ prodRootURL: PROD_ROOT_URL }, (err) => {
+      expect(err).to.be.an('error');
+      done();
+    });
+  });
+});
+
+describe('importHAR() and exportHAR()', function() {
+  const fixturesPath = `${os.tmpdir()}/highwind-har-spec`;
+  const options = { prodRootURL: PROD_ROOT_URL, fixturesPath, queryStringIgnore: [/[?&]cb=\d+/] };
+  const toEntry = (method, requestURL, status, mimeType, content, extra = {}) => ({
+    startedDateTime: '2016-01-01T00:00:00.000Z',
+    request: { method, url: requestURL, headers: [], ...extra.request },
+    response: {
+      status,
+      headers: [{ name: 'Content-Type', value: mimeType }, { name: 'X-Request-Id', value: '42' }],
+      content: { size: content.length, mimeType, text: content, ...extra.content }
+    }
+  });
+  const har = {
+    log: {
+      entries: [
+        toEntry('GET', `${PROD_ROOT_URL}/users?page=2&cb=123`, 200, 'application/json', '{"users":[]}'),
+        toEntry('POST', `${PROD_ROOT_URL}/search`, 201, 'application/json', '{"results":[]}', {
+          request: { postData: { mimeType: 'application/json', text: '{"q":"highwind"}' } }
+        }),
+        toEntry('GET', `${PROD_ROOT_URL}/logo`, 200, 'image/png', Buffer.from([0x89, 0x50]).toString('base64'), {
+          content: { encoding: 'base64' }
+        }),
+        toEntry('GET', 'http://analytics.example.com/track', 200, 'text/plain', 'ok'),
+        toEntry('GET', `${PROD_ROOT_URL}/flaky`, 503, 'text/plain', 'unavailable')
+      ]
+    }
+  };
+
+  beforeEach(function() {
+    fs.mkdirSync(fixturesPath, { recursive: true });
+  });
+
+  afterEach(function() {
+    fs.rmdirSync(fixturesPath, { recursive: true });
+  });
+
+  it('saves the responses to prodRootURL as fixtures', function() {
+    return importHAR({ ...options, har }).then(results => {
+      expect(results.map(result => result.state)).to.deep.equal([
+        'imported',
+        'imported',
+        'imported',
+        'skipped',
+        'skipped'
+      ]);
+      expect(results[1].fileName).to.match(/^search\/__\.POST\.[0-9a-f]{10}\.json$/);
+
+      const fixture = JSON.parse(fs.readFileSync(`${fixturesPath}/users/__page=2.GET.json`, 'utf8'));
+      expect(fixture).to.deep.equal({ users: [] });
+      const meta = JSON.parse(fs.readFileSync(`${fixturesPath}/users/__page=2.GET.json.meta`, 'utf8'));
+      expect(meta).to.deep.equal({
+        status: 200,
+        headers: { 'content-type': 'application/json', 'x-request-id': '42' }
+      });
+      expect(fs.readFileSync(`${fixturesPath}/logo/__.GET.png`)).to.deep.equal(Buffer.from([0x89, 0x50]));
+    });
+  });
+
+  it('skips requests with a fixture already, unless overwriting them', function() {
+    return importHAR({ ...options, har })
+      .then(() => importHAR({ ...options, har }))
+      .then(results => {
+        expect(results[0]).to.include({ state: 'skipped', reason: 'it has a fixture already' });
+        return importHAR({ ...options, har, overwrite: true });
+      })
+      .then(results => {
+        expect(results[0].state).to.equal('imported');
+      });
+  });
+
+  it('serves the imported fixtures', function(done) {
+    importHAR({ ...options, har }, () => {
+      start({ ...DEFAULT_OPTIONS, ...options, ports: [0], mode: 'replay-only' }, (err, mockAPI) => {
+        request(mockAPI.app)
+          .get('/users?page=2&cb=456')
+          .expect('X-Request-Id', '42')
+          .expect(200, { users: [] })
+          .end(() => {
+            mockAPI.close(done);
+          });
+      });
+    });
+  });
+
+  it('exports the fixtures as requests to production', function() {
+    return importHAR({ ...options, har })
+      .then(() => exportHAR(options))
+      .then(exported => {
+        const entries = exported.log.entries;
+        expect(exported.log.version).to.equal('1.2');
+        // The POST can't be exported, as its body isn't kept
+        expect(entries.map(entry => entry.request.url)).to.deep.equal([
+          `${PROD_ROOT_URL}/logo`,
+          `${PROD_ROOT_URL}/users?page=2`
+        ]);
+        expect(entries[0].response.content).to.include({ mimeType: 'image/png', encoding: 'base64' });
+        expect(entries[1].request.queryString).to.deep.equal([{ name: 'page', value: '2' }]);
+        expect(JSON.parse(entries[1].response.content.text)).to.deep.equal({ users: [] });
+        expect(entries[1].response.headers).to.deep.include({ name: 'x-request-id', value: '42' });
+      });
+  });
+
+  it('calls back with an error when the archive cannot be read', function(done) {
+    importHAR({ ...options, har: `${fixturesPath}/missing.har` }, (err) => {
+      expect(err).to.be.an('error');
+      done();
+    });
+  });
+});
+
+describe('the highwind command', function() {
+  const configDir = `${os.tmpdir()}/highwind-cli-spec`;
+
+  afterEach(function() {
+    fs.rmdirSync(configDir, { recursive: true });
+  });
+
+  beforeEach(function() {
+    fs.mkdirSync(configDir, { recursive: true });
+  });
+
+  it('parses flags into options', function() {
+    const args = parseArgs([
+      '--prod-root-url', PROD_ROOT_URL,
+      '-f', 'fixtures',
+      '--port=4567,4568',
+      '-p', '4569',
+      '--latency', '200',
+      '--mode', 'replay-only',
+      '--cors', 'http://localhost:3000',
+      '--no-save-fixtures',
+      '--scenario', 'outage',
+      '--log-level', 'debug',
+      '--log-format=json',
+      '--journal-size', '0',
+      '-q'
+    ]);
+
+    expect(args.options).to.deep.equal({
+      prodRootURL: PROD_ROOT_URL,
+      fixturesPath: 'fixtures',
+      ports: [4567, 4568, 4569],
+      latency: 200,
+      mode: 'replay-only',
+      corsWhitelist: ['http://localhost:3000'],
+      saveFixtures: false,
+      scenario: 'outage',
+      logLevel: 'debug',
+      logFormat: 'json',
+      journalSize: 0,
+      quiet: true
+    });
+  });
+
+  it('throws on unknown flags and invalid values', function() {
+    expect(() => parseArgs(['--prod-root'])).to.throw(/Unknown option '--prod-root'/);
+    expect(() => parseArgs(['--port', 'http'])).to.throw(/Expected a number/);
+    expect(() => parseArgs(['--mode'])).to.throw(/Missing value/);
+  });
+
+  it('reads the default config file, with flags taking precedence', function() {
+    fs.writeFileSync(`${configDir}/highwind.config.json`, JSON.stringify({
+      prodRootURL: PROD_ROOT_URL,
+      fixturesPath: './fixtures',
+      latency: 100
+    }));
+
+    const { configFile, options } = getOptions(['--latency', '0'], configDir);
+    expect(configFile).to.equal(`${configDir}/highwind.config.json`);
+    expect(options).to.deep.equal({
+      prodRootURL: PROD_ROOT_URL,
+      fixturesPath: `${configDir}/fixtures`,
+      latency: 0
+    });
+  });
+
+  it('resolves the paths in the config file against its directory', function() {
+    fs.writeFileSync(`${configDir}/highwind.config.json`, JSON.stringify({
+      prodRootURL: PROD_ROOT_URL,
+      fixturesPath: 'fixtures',
+      scenariosPath: 'scenarios',
+      https: { ports: [4443], key: 'tls/key.pem', cert: '/etc/tls/cert.pem' },
+      openapi: { document: 'openapi.yaml', validateRequests: 'fail' }
+    }));
+
+    const { options } = getOptions(['-c', `${configDir}/highwind.config.json`], os.tmpdir());
+    expect(options).to.deep.equal({
+      prodRootURL: PROD_ROOT_URL,
+      fixturesPath: `${configDir}/fixtures`,
+      scenariosPath: `${configDir}/scenarios`,
+      https: { ports: [4443], key: `${configDir}/tls/key.pem`, cert: '/etc/tls/cert.pem' },
+      openapi: { document: `${configDir}/openapi.yaml`, validateRequests: 'fail' }
+    });
+  });
+
+  it('reads a JS config file given with --config', function() {
+    fs.writeFileSync(`${configDir}/mocks.js`, `module.exports = { prodRootURL: '${PROD_ROOT_URL}', overrides: { get: [] } };`);
+
+    const { options } = getOptions(['-c', 'mocks.js', '-f', 'fixtures'], configDir);
+    expect(options).to.deep.equal({
+      prodRootURL: PROD_ROOT_URL,
+      fixturesPath: `${configDir}/fixtures`,
+      overrides: { get: [] }
+    });
+  });
+});
+
 describe('close()', function() {
   it('calls the callback with an error if there are no servers', function(done) {
     close(null, (err) => {
@@ -567,6 +3130,18 @@ describe('close()', function() {
     });
   });
 
+  it('returns a promise when no callback is passed in', function() {
+    let servers;
+    return start({ ...DEFAULT_OPTIONS, ports: [4603] })
+      .then(instance => {
+        servers = instance.servers;
+        return close(servers);
+      })
+      .then(() => {
+        expect(servers[0].active).to.be.false;
+      });
+  });
+
   describe('explicitly passing in servers', function() {
     it('marks all servers passed to it as inactive', function(done) {
       const mockServer = {
@@ -0,0 +1,8 @@
+export default (request) => {
+  return {
+    title: "JS to JSON Response for a request",
+    method: request.method,
+    query: request.query,
+    body: request.body
+  };
+}
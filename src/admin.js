@@ -0,0 +1,80 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+
+export const ADMIN_ROOT = '/__highwind';
+
+// Exposes the admin API and request journal returned by start() over HTTP,
+// so that the mock API can be reconfigured and inspected from outside the
+// process running it, e.g. from a browser test.
+export function delegateAdminRoutes(app, admin, journal) {
+  const router = new express.Router();
+
+  // Responds with the resulting state once the given change is made, or
+  // with a 400 if it could not be.
+  const handle = change => (req, res) => {
+    try {
+      change(req);
+    } catch (e) {
+      return res
+        .status(400)
+        .json({ error: e.message });
+    }
+    return res.json(admin.getState());
+  };
+
+  router.use(bodyParser.json());
+
+  router.get('/', handle(() => {}));
+
+  router.post('/overrides', handle(req => {
+    const { method, ...params } = req.body;
+    admin.addOverride(method, params);
+  }));
+
+  router.delete('/overrides', handle(req => {
+    const { method, route } = { ...req.query, ...req.body };
+    admin.removeOverride(method, route);
+  }));
+
+  router.put('/fixtures', handle(req => {
+    const { route, fixture } = req.body;
+    admin.setFixture(route, fixture);
+  }));
+
+  router.delete('/fixtures', handle(req => {
+    const { route } = { ...req.query, ...req.body };
+    admin.removeFixture(route);
+  }));
+
+  router.put('/latency', handle(req => {
+    admin.setLatency(Number(req.body.latency));
+  }));
+
+  router.put('/scenario', handle(req => {
+    admin.setScenario(req.body.scenario || null);
+  }));
+
+  router.delete('/scenario', handle(() => {
+    admin.setScenario(null);
+  }));
+
+  router.post('/reset', handle(() => {
+    admin.reset();
+  }));
+
+  router.get('/requests', (req, res) => {
+    const { method, path } = req.query;
+    res.json(journal.requests(method, path));
+  });
+
+  router.get('/requests.har', (req, res) => {
+    res.json(journal.toHAR());
+  });
+
+  router.delete('/requests', (req, res) => {
+    journal.clear();
+    res.status(204).end();
+  });
+
+  app.use(ADMIN_ROOT, router);
+}
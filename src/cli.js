@@ -0,0 +1,251 @@
+import fs from 'fs';
+import { dirname, extname, resolve } from 'path';
+import { start } from './mock_api';
+import { createWatcher } from './watcher';
+import { createLogger } from './logger';
+
+const DEFAULT_CONFIG_FILES = ['highwind.config.js', 'highwind.config.json'];
+// Options naming a file or directory, which a config file gives relative to
+// itself
+const PATH_OPTIONS = ['fixturesPath', 'scenariosPath'];
+// How long to wait for open connections to finish once asked to shut down
+const SHUTDOWN_TIMEOUT = 3000;
+const USAGE = `Usage: highwind [options]
+
+Options:
+  -c, --config <file>       JS or JSON config file (default: ./highwind.config.js or .json)
+  -u, --prod-root-url <url> Root URL of the production API
+  -f, --fixtures-path <dir> Directory fixtures are served from and saved to
+  -p, --port <port>         Port to listen on; repeat or separate with commas for several
+      --host <host>         Interface to listen on
+  -l, --latency <ms>        Delay every response by this many milliseconds
+  -m, --mode <mode>         record-missing, replay-only, refresh or record
+  -s, --scenario <name>     Scenario to serve fixtures from, over the base fixtures
+      --cors <origin>       Origin to allow; repeat for several
+      --no-save-fixtures    Don't save responses fetched from production
+  -w, --watch               Reload the config file's overrides, and fixtures, on change
+      --journal-size <n>    Most recent requests to keep in the journal; 0 keeps none (default: 1000)
+      --log-level <level>   debug, info, warn, error or silent (default: info)
+      --log-format <format> text or json, for one JSON event per line
+  -q, --quiet               Only log warnings and errors
+  -h, --help                Show this message
+
+Flags take precedence over the config file.`;
+
+// Flags taking a value, by name and alias, and the option each sets
+const VALUE_FLAGS = {
+  '--config': 'config',
+  '-c': 'config',
+  '--prod-root-url': 'prodRootURL',
+  '-u': 'prodRootURL',
+  '--fixtures-path': 'fixturesPath',
+  '-f': 'fixturesPath',
+  '--port': 'ports',
+  '-p': 'ports',
+  '--host': 'host',
+  '--latency': 'latency',
+  '-l': 'latency',
+  '--mode': 'mode',
+  '-m': 'mode',
+  '--scenario': 'scenario',
+  '-s': 'scenario',
+  '--cors': 'corsWhitelist',
+  '--journal-size': 'journalSize',
+  '--log-level': 'logLevel',
+  '--log-format': 'logFormat'
+};
+const BOOLEAN_FLAGS = {
+  '--quiet': ['quiet', true],
+  '-q': ['quiet', true],
+  '--no-save-fixtures': ['saveFixtures', false],
+  '--watch': ['watch', true],
+  '-w': ['watch', true],
+  '--help': ['help', true],
+  '-h': ['help', true]
+};
+
+// Parses command-line arguments into start() options, along with the config
+// file and whether help was asked for
+export function parseArgs(argv) {
+  const args = { options: {} };
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inlineValue] = argv[index].split(/=(.*)/);
+
+    if (BOOLEAN_FLAGS[flag]) {
+      const [key, value] = BOOLEAN_FLAGS[flag];
+      if (key === 'help') {
+        args.help = value;
+      } else {
+        args.options[key] = value;
+      }
+      continue;
+    }
+
+    const key = VALUE_FLAGS[flag];
+    if (!key) {
+      throw Error(`Unknown option '${flag}'`);
+    }
+
+    const value = typeof inlineValue === 'string' ? inlineValue : argv[++index];
+    if (typeof value !== 'string') {
+      throw Error(`Missing value for '${flag}'`);
+    }
+
+    if (key === 'config') {
+      args.config = value;
+    } else if (key === 'ports') {
+      args.options.ports = [...(args.options.ports || []), ...value.split(',').map(toNumber(flag))];
+    } else if (key === 'latency' || key === 'journalSize') {
+      args.options[key] = toNumber(flag)(value);
+    } else if (key === 'corsWhitelist') {
+      args.options.corsWhitelist = [...(args.options.corsWhitelist || []), value];
+    } else {
+      args.options[key] = value;
+    }
+  }
+
+  return args;
+}
+
+function toNumber(flag) {
+  return value => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+      throw Error(`Expected a number for '${flag}', got '${value}'`);
+    }
+    return number;
+  };
+}
+
+// Reads options from a JS or JSON config file. Relative paths in the file
+// are resolved against its directory.
+export function loadConfig(fileName) {
+  let config;
+
+  try {
+    if (extname(fileName) === '.json') {
+      config = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+    } else {
+      delete require.cache[require.resolve(fileName)];
+      const exported = require(fileName);
+      config = exported && exported.default ? exported.default : exported;
+    }
+  } catch (e) {
+    throw Error(`Couldn't load config file ${fileName}: ${e.message}`);
+  }
+
+  return resolvePaths(config, dirname(fileName));
+}
+
+// Resolves the options naming files and directories, including the key and
+// certificate of `https` and the document of `openapi`, against directory
+function resolvePaths(options, directory) {
+  const { https, openapi } = options;
+  const resolvePath = path => (typeof path === 'string' ? resolve(directory, path) : path);
+  const resolved = PATH_OPTIONS
+    .filter(key => typeof options[key] === 'string')
+    .reduce((paths, key) => ({ ...paths, [key]: resolvePath(options[key]) }), {});
+
+  if (https && typeof https === 'object') {
+    resolved.https = { ...https, key: resolvePath(https.key), cert: resolvePath(https.cert) };
+  }
+  if (typeof openapi === 'string') {
+    resolved.openapi = resolvePath(openapi);
+  } else if (openapi && typeof openapi.document === 'string') {
+    resolved.openapi = { ...openapi, document: resolvePath(openapi.document) };
+  }
+
+  return { ...options, ...resolved };
+}
+
+// Combines the config file, if any, with the flags given
+export function getOptions(argv, cwd) {
+  const args = parseArgs(argv);
+  const configFile = args.config
+    ? resolve(cwd, args.config)
+    : DEFAULT_CONFIG_FILES.map(name => resolve(cwd, name)).find(fs.existsSync);
+  const config = configFile ? loadConfig(configFile) : {};
+
+  return {
+    help: Boolean(args.help),
+    configFile,
+    options: { ...config, ...resolvePaths(args.options, cwd) }
+  };
+}
+
+// Starts Highwind as configured on the command line, until interrupted
+export function run(argv, cwd = process.cwd()) {
+  let settings;
+
+  try {
+    settings = getOptions(argv, cwd);
+  } catch (e) {
+    return fail(e);
+  }
+
+  if (settings.help) {
+    return console.log(USAGE);
+  }
+
+  const { configFile, options } = settings;
+  return start(options, (err, instance) => {
+    if (err) {
+      return fail(err);
+    }
+
+    const log = createLogger(options);
+    log('cli.started', {
+      configFile,
+      fixturesPath: options.fixturesPath,
+      prodRootURL: options.prodRootURL,
+      mode: options.mode || 'record-missing'
+    });
+
+    if (options.watch && configFile) {
+      watchConfig(configFile, { argv, cwd, instance, log });
+    }
+
+    return handleShutdown(instance, log);
+  });
+}
+
+// Reloads the overrides, fixtureRoutes, latency and scenario of the config
+// file when it changes. Other options only take effect on restart.
+function watchConfig(configFile, { argv, cwd, instance, log }) {
+  const watcher = createWatcher();
+  const kind = 'config file';
+
+  watcher.on('change', () => {
+    try {
+      instance.admin.reloadConfig(getOptions(argv, cwd).options);
+    } catch (e) {
+      return log('file.reloadFailed', { kind, fileName: configFile, error: e.message });
+    }
+    return log('file.reloaded', { kind, fileName: configFile });
+  });
+  watcher.add(configFile, 'config');
+}
+
+function handleShutdown(instance, log) {
+  let closing = false;
+  const shutdown = () => {
+    // A second signal exits without waiting on open connections
+    if (closing) {
+      return process.exit(1);
+    }
+    closing = true;
+    log('cli.shutdown');
+    global.setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT).unref();
+    return instance.close(() => process.exit(0));
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+function fail(err) {
+  console.error(`highwind: ${err.message}`);
+  console.error('Run highwind --help for usage.');
+  process.exitCode = 1;
+}
@@ -0,0 +1,138 @@
+import fetch from 'node-fetch';
+import fs from 'fs';
+import { mapLimit } from 'async';
+import { join, relative } from 'path';
+import { findFixtures, findFixtureUpstream, getFixtureRequest } from './fixture_files';
+
+const MAX_CONCURRENT_FETCHES = 4;
+
+// Fetches the route of each captured JSON fixture under fixturesPath from
+// prodRootURL again, and reports how the structure of the response differs
+// from the fixture. Fixtures chosen by the `update` option are rewritten with
+// the fresh response.
+export function detectDrift(options, helpers, callback) {
+  const { fixturesPath, scenariosPath } = options;
+  let fileNames;
+
+  try {
+    fileNames = findFixtures(fixturesPath, { extensions: ['json'], scenariosPath });
+  } catch (e) {
+    return callback(Error(`Couldn't read fixtures from ${fixturesPath}: ${e.message}`));
+  }
+
+  return mapLimit(fileNames, MAX_CONCURRENT_FETCHES, (fileName, done) => {
+    checkFixture(fileName, options, helpers, result => done(null, result));
+  }, (_err, results) => callback(null, results));
+}
+
+function checkFixture(fileName, options, helpers, callback) {
+  const { fixturesPath, encoding } = options;
+  const upstream = findFixtureUpstream(fileName, options);
+  const { prodRootURL, prodHeaders = {} } = upstream ? { ...options, ...upstream.settings } : options;
+  const relativeName = relative(fixturesPath, fileName);
+  // Fixtures of an upstream are named relative to its subdirectory
+  const request = getFixtureRequest(upstream
+    ? relative(join(fixturesPath, upstream.directory), fileName)
+    : relativeName);
+
+  if (request.reason) {
+    return callback({ fileName: relativeName, state: 'skipped', reason: request.reason });
+  }
+  // The bodies of requests other than GETs aren't kept, so they can't be
+  // made again
+  if (request.method !== 'GET' || request.bodyHash) {
+    return callback({ fileName: relativeName, state: 'skipped', reason: 'only GET fixtures can be fetched again' });
+  }
+
+  let local;
+  try {
+    local = JSON.parse(fs.readFileSync(fileName, encoding));
+  } catch (e) {
+    return callback({ fileName: relativeName, state: 'skipped', reason: 'not valid JSON' });
+  }
+
+  const url = prodRootURL + request.path;
+  const result = { fileName: relativeName, url };
+  let meta;
+  const compare = remote => {
+    const changes = diffStructure(local, remote);
+    const drifted = { ...result, state: changes.length > 0 ? 'drifted' : 'unchanged', changes };
+
+    if (changes.length === 0 || !shouldUpdate(options.update, drifted)) {
+      return callback(drifted);
+    }
+    return helpers.saveFixture(fileName, remote, true, meta, () => {
+      callback({ ...drifted, updated: true });
+    });
+  };
+
+  return fetch(url, { headers: { ...request.headers, ...prodHeaders }, redirect: 'manual' })
+    .then(response => {
+      // As when fetching, server errors are assumed to be transient, and are
+      // never saved over the fixture
+      if (response.status >= 500) {
+        throw Error(`Couldn't complete fetch with status ${response.status}`);
+      }
+      meta = helpers.getResponseMeta(response, prodRootURL, upstream);
+      if (!/(javascript|json)/.test(response.headers.get('Content-Type') || '')) {
+        throw Error(`Expected a JSON response, got '${response.headers.get('Content-Type')}'`);
+      }
+      return response.json();
+    })
+    // Called back outside the promise, so that an error thrown by the
+    // callback is never reported as a failed fetch, calling it again
+    .then(
+      remote => process.nextTick(() => compare(remote)),
+      err => process.nextTick(() => callback({ ...result, state: 'failed', reason: err.message }))
+    );
+}
+
+function shouldUpdate(update, result) {
+  if (typeof update === 'function') {
+    return Boolean(update(result));
+  }
+  if (Array.isArray(update)) {
+    return update.includes(result.fileName);
+  }
+  return update === true;
+}
+
+// Lists keys added to or removed from the remote response, and values whose
+// type has changed. Arrays are compared by the shape of their first item.
+function diffStructure(local, remote, path = '') {
+  const localType = getType(local);
+  const remoteType = getType(remote);
+
+  if (localType !== remoteType) {
+    return [{ path: path || '.', change: 'type', from: localType, to: remoteType }];
+  }
+
+  if (localType === 'array') {
+    return local.length > 0 && remote.length > 0
+      ? diffStructure(local[0], remote[0], `${path}[]`)
+      : [];
+  }
+
+  if (localType !== 'object') {
+    return [];
+  }
+
+  const keys = Object.keys({ ...local, ...remote });
+  return keys.reduce((changes, key) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (!(key in remote)) {
+      return changes.concat({ path: keyPath, change: 'removed', from: getType(local[key]) });
+    }
+    if (!(key in local)) {
+      return changes.concat({ path: keyPath, change: 'added', to: getType(remote[key]) });
+    }
+    return changes.concat(diffStructure(local[key], remote[key], keyPath));
+  }, []);
+}
+
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
@@ -0,0 +1,168 @@
+import express from 'express';
+
+const DEFAULT_ERROR_STATUS = 500;
+// Hung requests by server, so that closing a server doesn't wait on them
+const HUNG_REQUESTS = new Map();
+
+// Injects the faults described by the `faults` option into every request, or
+// those for the first of its `routes` matching a request. Decisions are drawn
+// from a generator seeded with `faults.seed`, when given, so that a run can
+// be repeated exactly.
+export function delegateFaults(app, options) {
+  const { faults } = options;
+  if (!faults) {
+    return;
+  }
+
+  const { routes = {}, seed, ...profile } = faults;
+  const random = getRandom(seed);
+  const router = new express.Router();
+
+  Object.keys(routes).forEach(route => {
+    router.all(route, (req, _res, next) => {
+      if (!req.faultProfile) {
+        req.faultProfile = { ...profile, ...routes[route] };
+      }
+      next();
+    });
+  });
+
+  app.use(router);
+  app.use((req, res, next) => {
+    injectFaults(req, res, next, req.faultProfile || profile, random);
+  });
+}
+
+// Ends the requests left hanging on a server, which is about to close
+export function releaseHungRequests(server) {
+  const sockets = HUNG_REQUESTS.get(server) || [];
+  sockets.forEach(socket => socket.destroy());
+  HUNG_REQUESTS.delete(server);
+}
+
+function injectFaults(req, res, next, profile, random) {
+  const {
+    bandwidth,
+    errorRate = 0,
+    errorStatus = DEFAULT_ERROR_STATUS,
+    hangRate = 0,
+    latency,
+    resetRate = 0,
+    truncateRate = 0
+  } = profile;
+  // Both values are drawn for every request, so that the sequence of
+  // decisions only depends on the seed and the order of requests.
+  const delay = getDelay(latency, random());
+  const roll = random();
+
+  const inject = () => {
+    if (roll < hangRate) {
+      req.matched = { type: 'fault', fault: 'hang' };
+      return hang(req);
+    }
+    if (roll < hangRate + resetRate) {
+      req.matched = { type: 'fault', fault: 'reset' };
+      return req.socket.destroy();
+    }
+    if (roll < hangRate + resetRate + errorRate) {
+      req.matched = { type: 'fault', fault: 'error' };
+      return res
+        .status(errorStatus)
+        .json({ error: 'Injected fault' });
+    }
+    if (roll < hangRate + resetRate + errorRate + truncateRate) {
+      truncate(res);
+    } else if (bandwidth > 0) {
+      throttle(res, bandwidth);
+    }
+    return next();
+  };
+
+  if (delay > 0) {
+    global.setTimeout(inject, delay);
+  } else {
+    inject();
+  }
+}
+
+// A latency is either a fixed number of milliseconds or a [min, max] range
+function getDelay(latency, value) {
+  if (Array.isArray(latency)) {
+    const [min, max] = latency;
+    return min + Math.floor(value * (max - min + 1));
+  }
+  return Number.isFinite(latency) ? latency : 0;
+}
+
+function hang(req) {
+  const { server } = req.socket;
+  const sockets = HUNG_REQUESTS.get(server) || new Set();
+  sockets.add(req.socket);
+  HUNG_REQUESTS.set(server, sockets);
+  req.socket.once('close', () => sockets.delete(req.socket));
+}
+
+// Sends the headers and half of the body, then drops the connection
+function truncate(res) {
+  const { write } = res;
+  res.end = (chunk, encoding) => {
+    const body = toBuffer(chunk, encoding);
+    write.call(res, body.slice(0, Math.floor(body.length / 2)), () => res.socket.destroy());
+    return res;
+  };
+}
+
+// Sends the body in tenths of the bandwidth (in bytes per second) at a time
+function throttle(res, bandwidth) {
+  const { write, end } = res;
+  const chunkSize = Math.max(Math.floor(bandwidth / 10), 1);
+  res.end = (chunk, encoding) => {
+    const body = toBuffer(chunk, encoding);
+    const send = (offset) => {
+      if (offset + chunkSize >= body.length) {
+        return end.call(res, body.slice(offset));
+      }
+      write.call(res, body.slice(offset, offset + chunkSize));
+      return global.setTimeout(() => send(offset + chunkSize), 100);
+    };
+    send(0);
+    return res;
+  };
+}
+
+function toBuffer(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') {
+    return Buffer.alloc(0);
+  }
+  if (Buffer.isBuffer(chunk)) {
+    return chunk;
+  }
+  return Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+// Draws numbers from 0 up to 1, from a generator seeded with seed when
+// given. Each call starts a generator of its own, so that its draws don't
+// shift those of another.
+export function getRandom(seed) {
+  return typeof seed === 'undefined' ? Math.random : createRandom(seed);
+}
+
+// A small seeded generator (Park-Miller) of numbers from 0 up to 1
+function createRandom(seed) {
+  const modulus = 2147483647;
+  let state = hashSeed(seed, modulus) % (modulus - 1) + 1;
+  return () => {
+    state = state * 48271 % modulus;
+    return (state - 1) / (modulus - 1);
+  };
+}
+
+// Numbers, and strings of one, are used as they are; other seeds are hashed,
+// so that different strings give different sequences
+function hashSeed(seed, modulus) {
+  const number = Number(seed);
+  if (Number.isFinite(number)) {
+    return Math.abs(Math.floor(number));
+  }
+  return String(seed).split('').reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % modulus, 0);
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import { extname, isAbsolute, join, relative, resolve } from 'path';
+
+// A nested fixture name, e.g. __page=2.GET.accept-language=fr.json
+const NESTED_FIXTURE_REGEXP = /^__(.*)\.([A-Z]+)(?:\.([0-9a-f]{10}))?(?:\.([^.]*=[^.]*))?\.[^.]+$/;
+const LEGACY_METHOD_REGEXP = /\.(POST|PUT|PATCH|DELETE|OPTIONS)(?:\.([0-9a-f]{10}))?$/;
+// Names too long for the filesystem are shortened with a hash, and can't be
+// mapped back to their URL
+const SHORTENED_NAME_REGEXP = /~[0-9a-f]{10}/;
+
+// Lists the fixtures under directory, of any extension unless extensions are
+// given. Scenario fixtures are hand-written variations on the captured ones,
+// so are left out.
+export function findFixtures(directory, { extensions, scenariosPath }) {
+  return fs.readdirSync(directory).reduce((fileNames, name) => {
+    const fileName = join(directory, name);
+    if (scenariosPath && resolve(fileName) === resolve(scenariosPath)) {
+      return fileNames;
+    }
+    if (fs.statSync(fileName).isDirectory()) {
+      return fileNames.concat(findFixtures(fileName, { extensions, scenariosPath }));
+    }
+    return !extensions || extensions.includes(extname(name).slice(1))
+      ? fileNames.concat(fileName)
+      : fileNames;
+  }, []).sort();
+}
+
+// The upstream whose subdirectory of fixturesPath holds the fixture, if any
+export function findFixtureUpstream(fileName, options) {
+  const { fixturesPath, upstreams = [] } = options;
+
+  return upstreams.find(upstream => {
+    const path = relative(join(fixturesPath, upstream.directory), fileName);
+    return !path.startsWith('..') && !isAbsolute(path);
+  }) || null;
+}
+
+// Maps a captured fixture's file name, relative to the directory of its
+// upstream or fixturesPath, back to the request it was captured for, or to
+// the reason it can't be. Only a hash of request bodies is kept, as bodyHash.
+export function getFixtureRequest(relativeName) {
+  const segments = relativeName.split(/[\\/]/);
+  const name = segments.pop();
+
+  if (SHORTENED_NAME_REGEXP.test(relativeName)) {
+    return { reason: 'its name was shortened, so its URL is unknown' };
+  }
+
+  // The flat layout of earlier versions, e.g. a:b?x=1.json
+  if (segments.length === 0 && !name.startsWith('__')) {
+    const legacyName = name.replace(/\.[^.]+$/, '');
+    const [, method = 'GET', bodyHash = null] = legacyName.match(LEGACY_METHOD_REGEXP) || [];
+    return {
+      method,
+      path: `/${legacyName.replace(LEGACY_METHOD_REGEXP, '').replace(/:/g, '/')}`,
+      headers: {},
+      bodyHash
+    };
+  }
+
+  const match = name.match(NESTED_FIXTURE_REGEXP);
+  if (!match) {
+    return { reason: 'not a captured fixture' };
+  }
+
+  const [, query, method, bodyHash = null, varyKey] = match;
+  const path = `/${segments.map(decodeURIComponent).join('/')}`;
+  const queryString = decodeURIComponent(query);
+  return {
+    method,
+    path: queryString ? `${path}?${queryString}` : path,
+    headers: varyKey ? parseVaryKey(decodeURIComponent(varyKey)) : {},
+    bodyHash
+  };
+}
+
+// Vary keys hold the headers the fixture was captured with, e.g.
+// accept-language=fr&x-api-version=2
+function parseVaryKey(varyKey) {
+  return varyKey.split('&').reduce((headers, pair) => {
+    const [name, ...value] = pair.split('=');
+    return { ...headers, [name]: value.join('=') };
+  }, {});
+}
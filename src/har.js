@@ -0,0 +1,318 @@
+import fs from 'fs';
+import http from 'http';
+import url from 'url';
+import querystring from 'querystring';
+import mime from 'mime';
+import { mapSeries } from 'async';
+import { extname, join, relative } from 'path';
+import { findFixtures, findFixtureUpstream, getFixtureRequest } from './fixture_files';
+import { redactResponse } from './redact';
+
+const HAR_VERSION = '1.2';
+const HAR_CREATOR = { name: 'highwind', version: require('../package.json').version };
+const TEXT_CONTENT_TYPE_REGEXP = /^text\/|javascript|json|xml|x-www-form-urlencoded/;
+// Files alongside fixtures that aren't captured responses
+const NON_FIXTURE_EXTENSIONS = ['js', 'meta'];
+
+// Saves the responses recorded in a HAR archive, e.g. one exported from the
+// browser's devtools, as fixtures named as if they had been fetched from
+// prodRootURL or one of the upstreams. Requests to other URLs are skipped,
+// as are those with a fixture already unless `overwrite` is set.
+export function importHAR(options, helpers, callback) {
+  let entries;
+
+  try {
+    entries = readHAR(options.har, options.encoding).log.entries;
+  } catch (e) {
+    return callback(Error(`Couldn't read HAR archive: ${e.message}`));
+  }
+
+  return mapSeries(entries, (entry, done) => {
+    importEntry(entry, options, helpers, result => done(null, result));
+  }, (_err, results) => callback(null, results));
+}
+
+function readHAR(har, encoding) {
+  const archive = typeof har === 'string'
+    ? JSON.parse(fs.readFileSync(har, encoding))
+    : har;
+
+  if (!archive || !archive.log || !Array.isArray(archive.log.entries)) {
+    throw Error('expected an object with log.entries');
+  }
+  return archive;
+}
+
+function importEntry(entry, options, helpers, callback) {
+  const { request, response } = entry;
+  const result = { method: request.method, url: request.url };
+  const target = findTarget(request.url, options);
+  const content = (response && response.content) || {};
+
+  if (!target) {
+    return callback({ ...result, state: 'skipped', reason: 'not a request to prodRootURL or an upstream' });
+  }
+  if (!response || response.status === 0) {
+    return callback({ ...result, state: 'skipped', reason: 'no response was received' });
+  }
+  // As when fetching, server errors are assumed to be transient
+  if (response.status >= 500) {
+    return callback({ ...result, state: 'skipped', reason: `responded with a ${response.status}` });
+  }
+  if (typeof content.text !== 'string' && content.size > 0) {
+    return callback({ ...result, state: 'skipped', reason: 'its response body was not recorded' });
+  }
+
+  const { prodRootURL, settings } = target;
+  const path = toPath(request.url, prodRootURL);
+  const baseName = helpers.getFixtureBaseName(path, {
+    ...settings,
+    method: request.method,
+    body: request.postData && request.postData.text,
+    headers: toHeaders(request.headers)
+  });
+
+  if (!options.overwrite && helpers.findFixtureFileName([baseName], true)) {
+    return callback({ ...result, state: 'skipped', reason: 'it has a fixture already' });
+  }
+
+  const rawHeaders = toRawHeaders(response.headers);
+  const contentType = rawHeaders['content-type'] ? rawHeaders['content-type'][0] : content.mimeType;
+  const format = helpers.getResponseFormat(contentType, /callback=([^&]+)/.test(path), response.status);
+  const fileName = `${baseName}.${format.extension}`;
+  let data;
+
+  try {
+    data = readContent(content, format.read);
+  } catch (e) {
+    return callback({ ...result, state: 'skipped', reason: 'its response body is not valid JSON' });
+  }
+
+  const responseIsJson = format.read === 'json';
+  const redacted = redactResponse(settings.redact, {
+    data,
+    meta: helpers.getFixtureMeta(response.status, rawHeaders, prodRootURL, settings.upstream)
+  }, { url: request.url, fileName, isJson: responseIsJson });
+
+  return helpers.saveFixture(fileName, redacted.data, responseIsJson, redacted.meta, () => {
+    callback({ ...result, state: 'imported', fileName: relative(options.fixturesPath, fileName) });
+  });
+}
+
+// The root URL the request was made to, with the options of its upstream, if
+// any. The longest matching root wins, so that an upstream can live under
+// prodRootURL.
+function findTarget(requestURL, options) {
+  const { prodRootURL, upstreams = [] } = options;
+  const targets = [
+    ...upstreams.map(upstream => ({
+      prodRootURL: upstream.settings.prodRootURL,
+      settings: { ...options, ...upstream.settings, upstream }
+    })),
+    { prodRootURL, settings: options }
+  ];
+
+  return targets
+    .map(target => ({ ...target, prodRootURL: target.prodRootURL.replace(/\/+$/, '') }))
+    .filter(target => {
+      const rest = requestURL.slice(target.prodRootURL.length);
+      return requestURL.startsWith(target.prodRootURL) && /^([/?]|$)/.test(rest);
+    })
+    .sort((a, b) => b.prodRootURL.length - a.prodRootURL.length)[0] || null;
+}
+
+function toPath(requestURL, prodRootURL) {
+  const rest = requestURL.slice(prodRootURL.length);
+  return rest.startsWith('/') ? rest : `/${rest}`;
+}
+
+// Reads the text of a HAR response, which is base64 encoded for binary
+// content
+function readContent(content, read) {
+  const text = content.text || '';
+  const buffer = content.encoding === 'base64' ? Buffer.from(text, 'base64') : null;
+
+  if (read === 'buffer') {
+    return buffer || Buffer.from(text);
+  }
+  const body = buffer ? buffer.toString() : text;
+  return read === 'json' ? JSON.parse(body) : body;
+}
+
+// Header values by lowercase name, as Express exposes request headers.
+// HTTP/2 pseudo-headers, such as :authority, are left out.
+function toHeaders(harHeaders = []) {
+  const rawHeaders = toRawHeaders(harHeaders);
+  return Object.keys(rawHeaders).reduce((headers, name) => {
+    return { ...headers, [name]: rawHeaders[name].join(', ') };
+  }, {});
+}
+
+// Lists of header values by lowercase name
+function toRawHeaders(harHeaders = []) {
+  return harHeaders
+    .filter(({ name }) => !name.startsWith(':'))
+    .reduce((headers, { name, value }) => {
+      const key = name.toLowerCase();
+      return { ...headers, [key]: [...(headers[key] || []), value] };
+    }, {});
+}
+
+// Builds a HAR archive of the captured fixtures under fixturesPath, each as
+// a request to the production URL it was captured from. Fixtures whose
+// request can't be recovered, such as those of requests with a body, are
+// left out.
+export function exportHAR(options, helpers, callback) {
+  const { fixturesPath, scenariosPath } = options;
+  let fileNames;
+
+  try {
+    fileNames = findFixtures(fixturesPath, { scenariosPath })
+      .filter(fileName => !NON_FIXTURE_EXTENSIONS.includes(extname(fileName).slice(1)));
+  } catch (e) {
+    return callback(Error(`Couldn't read fixtures from ${fixturesPath}: ${e.message}`));
+  }
+
+  const entries = fileNames
+    .map(fileName => exportFixture(fileName, options, helpers))
+    .filter(Boolean);
+  return callback(null, createHAR(entries));
+}
+
+function exportFixture(fileName, options, helpers) {
+  const { fixturesPath, encoding } = options;
+  const upstream = findFixtureUpstream(fileName, options);
+  const { prodRootURL } = upstream ? upstream.settings : options;
+  const request = getFixtureRequest(upstream
+    ? relative(join(fixturesPath, upstream.directory), fileName)
+    : relative(fixturesPath, fileName));
+
+  if (request.reason || request.bodyHash) {
+    return null;
+  }
+
+  const { status, headers } = helpers.readFixtureMeta(fileName, encoding) ||
+    { status: 200, headers: {} };
+  const mimeType = [].concat(headers['content-type'] || mime.lookup(fileName))[0];
+
+  return createEntry({
+    startedDateTime: fs.statSync(fileName).mtime,
+    method: request.method,
+    url: prodRootURL.replace(/\/+$/, '') + request.path,
+    requestHeaders: request.headers,
+    status,
+    responseHeaders: headers,
+    content: readFixtureContent(fileName, mimeType)
+  });
+}
+
+function readFixtureContent(fileName, mimeType) {
+  const data = fs.readFileSync(fileName);
+  const content = { size: data.length, mimeType };
+
+  return TEXT_CONTENT_TYPE_REGEXP.test(mimeType) || extname(fileName) === '.json'
+    ? { ...content, text: data.toString() }
+    : { ...content, text: data.toString('base64'), encoding: 'base64' };
+}
+
+// Builds a HAR archive of the requests in the journal, with the status and
+// headers each was answered with, and what served it as _matched. Response
+// bodies aren't kept in the journal.
+export function journalToHAR(journalEntries) {
+  return createHAR(journalEntries.map(entry => {
+    const responseHeaders = entry.responseHeaders || {};
+    const mimeType = [].concat(responseHeaders['content-type'] || '')[0];
+
+    return {
+      ...createEntry({
+        startedDateTime: entry.timestamp,
+        time: entry.duration || 0,
+        method: entry.method,
+        url: entry.url,
+        requestHeaders: entry.headers,
+        postData: entry.body === null ? null : toPostData(entry.body, entry.headers['content-type']),
+        status: entry.status || 0,
+        responseHeaders,
+        content: { size: Number(responseHeaders['content-length']) || 0, mimeType }
+      }),
+      _matched: entry.matched
+    };
+  }));
+}
+
+function toPostData(body, mimeType = '') {
+  if (typeof body === 'string') {
+    return { mimeType, text: body };
+  }
+  return /x-www-form-urlencoded/.test(mimeType)
+    ? { mimeType, text: querystring.stringify(body) }
+    : { mimeType, text: JSON.stringify(body) };
+}
+
+function createHAR(entries) {
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: HAR_CREATOR,
+      entries
+    }
+  };
+}
+
+function createEntry(options) {
+  const {
+    startedDateTime,
+    time = 0,
+    method,
+    url: requestURL,
+    requestHeaders = {},
+    postData = null,
+    status,
+    responseHeaders = {},
+    content
+  } = options;
+  const request = {
+    method,
+    url: requestURL,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHARHeaders(requestHeaders),
+    queryString: toHARQueryString(requestURL),
+    headersSize: -1,
+    bodySize: postData ? Buffer.byteLength(postData.text) : 0
+  };
+
+  return {
+    startedDateTime: new Date(startedDateTime).toISOString(),
+    time,
+    request: postData ? { ...request, postData } : request,
+    response: {
+      status,
+      statusText: http.STATUS_CODES[status] || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHARHeaders(responseHeaders),
+      content,
+      redirectURL: [].concat(responseHeaders.location || '')[0],
+      headersSize: -1,
+      bodySize: content.size
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 }
+  };
+}
+
+function toHARHeaders(headers) {
+  return Object.keys(headers).reduce((harHeaders, name) => {
+    const values = [].concat(headers[name]).map(value => ({ name, value: String(value) }));
+    return harHeaders.concat(values);
+  }, []);
+}
+
+function toHARQueryString(requestURL) {
+  const query = url.parse(requestURL, true).query;
+  return Object.keys(query).reduce((queryString, name) => {
+    const values = [].concat(query[name]).map(value => ({ name, value }));
+    return queryString.concat(values);
+  }, []);
+}
@@ -0,0 +1,97 @@
+import { journalToHAR } from './har';
+
+// Records every request the mock API receives, for tests to assert on what
+// the client under test called. Only the most recent `size` are kept, so
+// that a long-running server doesn't hold on to every request; with a size
+// of 0, requests are still reported to onFinish, but none are kept.
+export function createJournal({ size, getBody, onFinish }) {
+  let entries = [];
+
+  const filter = (method, path) => entries.filter(entry =>
+    matchesMethod(entry, method) && matchesPath(entry, path)
+  );
+
+  return {
+    // Records the request, then what served it once the response is sent.
+    // Whatever serves a request describes itself in req.matched, e.g.
+    // { type: 'fixture', fileName }.
+    middleware(req, res, next) {
+      const entry = {
+        method: req.method,
+        url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+        path: req.path,
+        query: req.query,
+        headers: req.headers,
+        body: null,
+        matched: null,
+        status: null,
+        responseHeaders: null,
+        timestamp: new Date(),
+        duration: null
+      };
+
+      if (size > 0) {
+        entries.push(entry);
+        if (entries.length > size) {
+          entries.shift();
+        }
+      }
+      res.on('finish', () => {
+        entry.body = hasBody(req) ? getBody(req) : null;
+        entry.matched = req.matched || null;
+        entry.status = res.statusCode;
+        entry.responseHeaders = res.getHeaders();
+        entry.duration = Date.now() - entry.timestamp.getTime();
+        if (onFinish) {
+          onFinish(entry);
+        }
+      });
+      next();
+    },
+
+    // Requests matching the given HTTP method and path, both optional. Paths
+    // may be given as a string or RegExp.
+    requests(method, path) {
+      return filter(method, path);
+    },
+
+    wasCalled(method, path) {
+      return filter(method, path).length > 0;
+    },
+
+    callCount(method, path) {
+      return filter(method, path).length;
+    },
+
+    lastRequest(method, path) {
+      const matches = filter(method, path);
+      return matches.length > 0 ? matches[matches.length - 1] : null;
+    },
+
+    clear() {
+      entries = [];
+    },
+
+    // The requests recorded, as a HAR archive for devtools and the like
+    toHAR() {
+      return journalToHAR(entries);
+    }
+  };
+}
+
+function hasBody(req) {
+  const contentLength = req.headers['content-length'];
+  return Boolean(req.headers['transfer-encoding']) ||
+    (Boolean(contentLength) && contentLength !== '0');
+}
+
+function matchesMethod(entry, method) {
+  return !method || entry.method === method.toUpperCase();
+}
+
+function matchesPath(entry, path) {
+  if (!path) {
+    return true;
+  }
+  return path instanceof RegExp ? path.test(entry.path) : entry.path === path;
+}
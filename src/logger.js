@@ -0,0 +1,88 @@
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['text', 'json'];
+
+// Everything Highwind logs, by event name, with the level it is logged at and
+// how it reads as text
+const EVENTS = {
+  'server.listening': ['info', ({ url }) => `Mock API server listening on ${url}`],
+  'server.closing': ['info', ({ port }) => `Closing mock API server on port ${port}`],
+  'request.served': ['debug', ({ method, url, status, duration }) =>
+    `==> ${method} ${url} ${status} (${duration}ms)`],
+  'override.matched': ['info', ({ method, route }) =>
+    `==> 📁  Serving local fixture for ${method.toUpperCase()} -> '${route}'`],
+  'resource.served': ['info', ({ method, url }) => `==> 🗃  Serving in-memory resource for ${method} -> '${url}'`],
+  'openapi.example.served': ['info', ({ method, url }) => `==> 📜  Serving OpenAPI example for ${method} -> '${url}'`],
+  'openapi.violation': ['warn', ({ method, path, kind, errors }) =>
+    `==> 📜  ${method} '${path}' ${kind} does not match the OpenAPI document: ${errors.join('; ')}`],
+  'fixture.served': ['info', ({ fileName }) => `==> 📁  Serving local response from ${fileName}`],
+  'fixture.missing': ['error', ({ message, fileName }) => `==> ⛔️  ${message} (expected ${fileName})`],
+  'fixture.invalid': ['error', ({ error }) => `⛔️ Could not parse and serve invalid JSON: ${error}`],
+  'fixture.invalidMeta': ['error', ({ fileName, error }) => `⛔️ Could not parse fixture metadata in ${fileName}: ${error}`],
+  'fixture.captured': ['info', ({ fileName, metaFileName }) => (metaFileName
+    ? `==> 💾  Saved response to ${fileName}, and its status and headers to ${metaFileName}`
+    : `==> 💾  Saved response to ${fileName}`)],
+  'fetch.started': ['info', ({ method, prodRootURL, path }) => `==> 📡  ${method} ${prodRootURL} -> ${path}`],
+  'fetch.completed': ['info', ({ status }) => `==> 📡  STATUS ${status}`],
+  'fetch.failed': ['error', ({ error }) => `==> ⛔️  ${error}`],
+  'file.reloaded': ['info', ({ kind, fileName }) => `==> 🔄  Reloaded ${kind} ${fileName}`],
+  'file.reloadFailed': ['error', ({ fileName, error }) => `==> ⛔️  Couldn't reload ${fileName}: ${error}`],
+  'cli.started': ['info', ({ configFile, fixturesPath, prodRootURL, mode }) => [
+    ...(configFile ? [`==> ⚙️  Using config file ${configFile}`] : []),
+    `==> 📂  Serving fixtures from ${fixturesPath}`,
+    `==> 📡  Falling back to ${prodRootURL} in ${mode} mode`
+  ].join('\n')],
+  'cli.shutdown': ['info', () => '==> 👋  Shutting down']
+};
+
+// Returns log(), which reports an event, given by name with its data, to the
+// `logger` option, or the console, when at or above `logLevel`, and to the
+// emitter, if any, whatever its level. Loggers are called with the message
+// and the event, e.g. logger.info(message, { time, level, event, ...data });
+// the console prints one or the other, depending on `logFormat`.
+export function createLogger(options, emitter) {
+  const { logger, logFormat = 'text', quiet } = options;
+  // quiet predates logLevel, and leaves only warnings and errors
+  const logLevel = options.logLevel || (quiet ? 'warn' : 'info');
+  const output = logger || createConsoleLogger(logFormat);
+
+  return (name, data = {}, level = EVENTS[name][0]) => {
+    const message = EVENTS[name][1](data);
+    const event = { time: new Date().toISOString(), level, event: name, message, ...data };
+
+    if (emitter) {
+      emitter.emit('event', event);
+      emitter.emit(name, event);
+    }
+    if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logLevel) && typeof output[level] === 'function') {
+      output[level](message, event);
+    }
+  };
+}
+
+// Throws unless the logging options are valid
+export function validateLogOptions(options) {
+  const { logLevel, logFormat, logger } = options;
+
+  if (logLevel && !LOG_LEVELS.includes(logLevel)) {
+    throw Error(`Invalid logLevel '${logLevel}', expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (logFormat && !LOG_FORMATS.includes(logFormat)) {
+    throw Error(`Invalid logFormat '${logFormat}', expected one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  if (logger && typeof logger !== 'object') {
+    throw Error('Invalid logger, expected an object with debug, info, warn and error methods');
+  }
+}
+
+function createConsoleLogger(logFormat) {
+  const print = method => (message, event) => {
+    console[method](logFormat === 'json' ? JSON.stringify(event) : message);
+  };
+
+  return {
+    debug: print('log'),
+    info: print('info'),
+    warn: print('warn'),
+    error: print('error')
+  };
+}
@@ -0,0 +1,94 @@
+// The parts of a request an override can be limited to, by the param holding
+// the conditions on each
+const CONDITIONS = {
+  withQueryParams: (req, name) => req.query[name],
+  withHeaders: (req, name) => req.get(name),
+  withCookies: (req, name) => parseCookies(req.get('cookie'))[name],
+  withBody: (req, path) => getPath(req.body, path)
+};
+const NO_FIELDS = Object.freeze(Object.create(null));
+
+// How many conditions an override has, so that overrides of the same route
+// can be tried from the most specific
+export function countConditions(params) {
+  return Object.keys(CONDITIONS).reduce((count, key) => {
+    const conditions = params[key];
+    if (key === 'withBody' && typeof conditions === 'function') {
+      return count + 1;
+    }
+    return count + Object.keys(conditions || {}).length;
+  }, 0);
+}
+
+// Whether the request meets every condition of the override. Each condition
+// maps a query param, header, cookie or dotted path into the body to a value
+// to equal, a RegExp to match, or a function of the value and request. For
+// query params, headers and cookies, true and false require the value to be
+// present or absent. withBody can also be a function of the whole body.
+export function matchesConditions(req, params) {
+  return Object.keys(CONDITIONS).every(key => {
+    const conditions = params[key];
+    if (!conditions) {
+      return true;
+    }
+    if (key === 'withBody' && typeof conditions === 'function') {
+      return Boolean(conditions(req.body, req));
+    }
+    return Object.keys(conditions).every(name => {
+      const value = CONDITIONS[key](req, name);
+      return matchesValue(conditions[name], value, req, key !== 'withBody');
+    });
+  });
+}
+
+function matchesValue(expected, value, req, allowPresence) {
+  if (typeof expected === 'function') {
+    return Boolean(expected(value, req));
+  }
+  if (expected instanceof RegExp) {
+    return typeof value !== 'undefined' && expected.test(String(value));
+  }
+  if (allowPresence && typeof expected === 'boolean') {
+    return expected === (typeof value !== 'undefined');
+  }
+  if (typeof value === 'string' && (typeof expected === 'number' || typeof expected === 'boolean')) {
+    return value === String(expected);
+  }
+  return isEqual(expected, value);
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => isEqual(a[key], b[key]));
+}
+
+// Reads e.g. 'user.addresses.0.city' from a parsed body
+function getPath(body, path) {
+  return path.split('.').reduce((value, key) => {
+    return (value !== null && typeof value === 'object' ? value : NO_FIELDS)[key];
+  }, body);
+}
+
+export function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, pair) => {
+    const [name, ...value] = pair.split('=');
+    if (!name.trim()) {
+      return cookies;
+    }
+    try {
+      return { ...cookies, [name.trim()]: decodeURIComponent(value.join('=').trim()) };
+    } catch (e) {
+      return cookies;
+    }
+  }, {});
+}
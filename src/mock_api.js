@@ -4,109 +4,486 @@ import cors from 'cors';
 import fetch from 'node-fetch';
 import bodyParser from 'body-parser';
 import url from 'url';
+import http from 'http';
+import https from 'https';
+import querystring from 'querystring';
 import fs from 'fs';
+import crypto from 'crypto';
+import mime from 'mime';
+import { basename, dirname, extname, join } from 'path';
 import { parallel } from 'async';
+import { EventEmitter } from 'events';
+import selfsigned from 'selfsigned';
+import { delegateResources } from './resources';
+import { delegateAdminRoutes } from './admin';
+import { createJournal } from './journal';
+import { delegateFaults, getRandom, releaseHungRequests } from './faults';
+import { createOpenAPI } from './openapi';
+import { detectDrift } from './drift';
+import { createWatcher } from './watcher';
+import { redactResponse, validateRedact } from './redact';
+import {
+  createScenarioMiddleware,
+  getScenariosPath,
+  listScenarios,
+  validateScenario
+} from './scenarios';
+import { getUpstreams, matchUpstream, stripPrefix } from './upstreams';
+import { exportHAR, importHAR } from './har';
+import { countConditions, matchesConditions } from './matchers';
+import { createLogger, validateLogOptions } from './logger';
 
+// Every server started, across instances, for close() without arguments
 const SERVERS = [];
+// The log() of the instance each server was started by
+const SERVER_LOGGERS = new WeakMap();
 const REQUIRED_CONFIG_OPTIONS = [
   'prodRootURL',
   'fixturesPath'
 ];
 const DEFAULT_OPTIONS = {
+  // Large enough for uploads, unlike body-parser's default of 100kb
+  bodyLimit: '50mb',
   encoding: 'utf8',
+  forwardHeaders: [],
+  journalSize: 1000,
   latency: 0,
+  mode: 'record-missing',
   ports: [4567],
+  prodHeaders: {},
   queryStringIgnore: [],
   quiet: false,
-  saveFixtures: true
+  resources: {},
+  saveFixtures: true,
+  varyHeaders: []
 };
+const MODES = [
+  'record',
+  'record-missing',
+  'refresh',
+  'replay-only'
+];
+const RESPONSE_ORDERS = [
+  'cycle',
+  'random',
+  'sequential'
+];
 const JSON_CONTENT_TYPE_REGEXP = /javascript|json/;
+const BODILESS_METHODS = ['GET', 'HEAD'];
+// Responses that never have a body, whatever their Content-Type says
+const BODILESS_STATUSES = [204, 304];
+// Response headers that describe the original transfer rather than the
+// response itself, and so are recomputed when a fixture is served.
+const TRANSIENT_HEADERS = [
+  'connection',
+  'content-encoding',
+  'content-length',
+  'date',
+  'keep-alive',
+  'transfer-encoding'
+];
+const FIXTURE_META_EXTENSION = 'meta';
+const BINARY_FIXTURE_EXTENSION = 'bin';
+// Leaves room for the method, body hash and extensions within the 255 byte
+// file name limit of most filesystems.
+const MAX_FILE_NAME_LENGTH = 200;
+const UNSAFE_FILE_NAME_CHARACTERS = /[\x00-\x1f<>:"\/\\|?*%]/g;
+// Matches placeholders such as {{params.id}} or {{ headers.accept-language }}
+const TEMPLATE_PLACEHOLDER_REGEXP = /\{\{\s*(params|query|body|headers)((?:\.[\w-]+)*)\s*\}\}/g;
 
 module.exports = {
+  // Calls back with, or resolves to, an instance holding its own servers and
+  // a close() for them
   start(options, callback) {
-    const error = generateMissingParamsError(options, callback);
-    if (error) {
-      return callback(error);
-    }
+    return withOptionalCallback(done => startInstance(options, done), callback);
+  },
 
-    const app = express();
-    const settings = { ...DEFAULT_OPTIONS, ...options };
-    const { corsWhitelist, encoding, latency, overrides, ports } = settings;
+  // Closes the given servers, or every server started by this module when
+  // none are given
+  close(clientServers, callback) {
+    return withOptionalCallback(done => closeServers(clientServers || SERVERS, done), callback);
+  },
 
-    if (corsWhitelist) {
-      setCorsMiddleware(app, corsWhitelist);
-    }
+  // Fetches the routes of captured fixtures from production again, reporting
+  // those that no longer match the structure of the live response
+  detectDrift(options, callback) {
+    return withOptionalCallback(done => {
+      const error = generateMissingParamsError(options);
+      if (error) {
+        return done(error);
+      }
+      const settings = { ...DEFAULT_OPTIONS, ...options };
+      let upstreams;
+      try {
+        upstreams = getUpstreams(settings);
+        validateRedactOptions(settings, upstreams);
+      } catch (e) {
+        return done(e);
+      }
+      const log = createLogger(settings);
+      // Updated fixtures are redacted just like captured ones
+      const saveRedactedFixture = (fileName, data, responseIsJson, meta, callback) => {
+        const redacted = redactResponse(settings.redact, { data, meta }, {
+          fileName,
+          isJson: responseIsJson
+        });
+        saveFixture(fileName, redacted.data, responseIsJson, redacted.meta, logCaptured(log, callback));
+      };
+      return detectDrift(
+        { ...settings, scenariosPath: getScenariosPath(settings), upstreams },
+        { getResponseMeta, saveFixture: saveRedactedFixture },
+        done
+      );
+    }, callback);
+  },
 
-    if (isValidDuration(latency)) {
-      simulateLatency(app, latency);
+  // Saves the responses in a HAR archive, or the file holding one, as
+  // fixtures, reporting what became of each request
+  importHAR(options, callback) {
+    return withOptionalCallback(done => {
+      const error = generateMissingParamsError(options);
+      if (error) {
+        return done(error);
+      }
+      const settings = { ...DEFAULT_OPTIONS, ...options };
+      let upstreams;
+      try {
+        upstreams = getUpstreams(settings);
+        validateRedactOptions(settings, upstreams);
+      } catch (e) {
+        return done(e);
+      }
+      const log = createLogger(settings);
+      return importHAR({ ...settings, upstreams }, {
+        getFixtureBaseName: (path, requestSettings) => getDefaultFixtureBaseNames(path, requestSettings)[0],
+        findFixtureFileName,
+        getResponseFormat,
+        getFixtureMeta,
+        saveFixture: (fileName, data, responseIsJson, meta, callback) => {
+          saveFixture(fileName, data, responseIsJson, meta, logCaptured(log, callback));
+        }
+      }, done);
+    }, callback);
+  },
+
+  // Resolves to a HAR archive of the captured fixtures, as requests to
+  // production
+  exportHAR(options, callback) {
+    return withOptionalCallback(done => {
+      const error = generateMissingParamsError(options);
+      if (error) {
+        return done(error);
+      }
+      const settings = { ...DEFAULT_OPTIONS, ...options };
+      let upstreams;
+      try {
+        upstreams = getUpstreams(settings);
+      } catch (e) {
+        return done(e);
+      }
+      const log = createLogger(settings);
+      return exportHAR(
+        { ...settings, scenariosPath: getScenariosPath(settings), upstreams },
+        { readFixtureMeta: (fileName, encoding) => readFixtureMeta(fileName, encoding, log) },
+        done
+      );
+    }, callback);
+  }
+}
+
+function startInstance(options, callback) {
+  const error = generateMissingParamsError(options);
+  if (error) {
+    return callback(error);
+  }
+
+  const app = express();
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const {
+    corsWhitelist,
+    encoding,
+    fixtureRoutes,
+    latency,
+    mode,
+    overrides
+  } = settings;
+  const missingFixtures = [];
+  const refreshedFixtures = new Set();
+  const scenariosPath = getScenariosPath(settings);
+
+  const settingsError = generateInvalidSettingsError(settings);
+  if (settingsError) {
+    return callback(settingsError);
+  }
+
+  // Every event is emitted by the instance, whatever the logLevel
+  const events = new EventEmitter();
+  const log = createLogger(settings, events);
+  // What the admin API can change at runtime, and reset back to
+  const initialRuntime = {
+    latency,
+    overrides: overrides || {},
+    fixtureRoutes: fixtureRoutes || {},
+    swappedFixtures: {},
+    scenario: settings.scenario || null
+  };
+  const runtime = { ...initialRuntime };
+  const watcher = settings.watch ? createWatcher() : null;
+  // Kept apart from the router, which is rebuilt whenever any override
+  // changes, so that only reset() starts sequences over
+  const sequences = createOverrideSequences(settings.faults);
+  const resourcesRouter = new express.Router();
+  let tlsOptions = null;
+  let openapi = null;
+  let upstreams, overridesRouter, fixtureRoutesRouter, resources;
+  try {
+    validateLogOptions(settings);
+    upstreams = getUpstreams(settings);
+    validateRedactOptions(settings, upstreams);
+    if (settings.https) {
+      tlsOptions = getTLSOptions(settings.https, encoding);
+    }
+    if (settings.openapi) {
+      openapi = createOpenAPI({ ...settings, log });
+    }
+    if (settings.scenario) {
+      validateScenario(scenariosPath, settings.scenario);
     }
+    // Building the routers reads override fixtures and resource seeds, so
+    // invalid ones are reported here too
+    overridesRouter = createDynamicRouter(router =>
+      delegateRouteOverrides(router, {
+        ...settings,
+        overrides: runtime.overrides,
+        sequences,
+        watcher,
+        log
+      })
+    );
+    fixtureRoutesRouter = createDynamicRouter(router => {
+      delegateFixtureRoutes(router, runtime.swappedFixtures, 'swappedFixture');
+      delegateFixtureRoutes(router, runtime.fixtureRoutes, 'fixtureRoute');
+    });
+    resources = delegateResources(resourcesRouter, { ...settings, log });
+  } catch (e) {
+    if (watcher) {
+      watcher.close();
+    }
+    return callback(e);
+  }
 
-    if (overrides) {
-      delegateRouteOverrides(app, settings);
+  const journal = createJournal({
+    size: settings.journalSize,
+    getBody: getParsedRequestBody,
+    onFinish: ({ method, url, path, status, matched, duration }) => {
+      log('request.served', { method, url, path, status, matched, duration });
     }
+  });
+  const admin = createAdmin({
+    initialRuntime,
+    runtime,
+    overridesRouter,
+    fixtureRoutesRouter,
+    sequences,
+    resources,
+    scenariosPath
+  });
 
-    app.all('*', (req, res) => {
-      const path = getURLPathWithQueryString(req);
-      const jsonFileName = getFileName(path, 'json', settings);
-      const jsFileName = getFileName(path, 'js', settings);
-      const htmlFileName = getFileName(path, 'html', settings);
-      // Handles JSON, JS, and HTML files.
-      // If the file is not found, fetch a JSON response from production.
-      if (fs.existsSync(jsonFileName)) {
-        fs.readFile(jsonFileName, encoding, (err, data) => {
-          serveResponse(res, data, jsonFileName, { ...settings });
-        });
-      } else if (fs.existsSync(jsFileName)) {
-        delete require.cache[require.resolve(jsFileName)] // clear cache to keep JS require dynamic
-        const data = require(jsFileName).default();
-        serveResponse(res, data, jsFileName, { ...settings });
-      } else if (fs.existsSync(htmlFileName)) {
-        fs.readFile(htmlFileName, encoding, (err, data) => {
-          serveResponse(res, data, htmlFileName, { ...settings });
-        });
-      } else {
-        fetchResponse(req, res, jsonFileName, { ...settings, path });
-      }
+  if (watcher) {
+    watcher.on('change', (fileName, kind) => {
+      reloadWatchedFile(fileName, kind, { watcher, overridesRouter, log });
     });
+  }
 
-    const result = {
-      app,
-      servers: SERVERS
+  if (corsWhitelist) {
+    setCorsMiddleware(app, corsWhitelist);
+  }
+
+  delegateAdminRoutes(app, admin, journal);
+  app.use(journal.middleware);
+  app.use(createScenarioMiddleware(scenariosPath, () => runtime.scenario));
+  simulateLatency(app, () => runtime.latency);
+  delegateFaults(app, settings);
+  if (openapi) {
+    app.use(openapi.middleware);
+  }
+  app.use(overridesRouter);
+  app.use(resourcesRouter);
+  app.use(fixtureRoutesRouter);
+
+  app.all('*', bodyParser.raw({ type: '*/*', limit: settings.bodyLimit }), (req, res) => {
+    // Requests for an upstream are fetched from it, with its options, and
+    // served from its subdirectory of fixturesPath
+    const upstream = matchUpstream(req, upstreams);
+    const path = stripPrefix(getURLPathWithQueryString(req), upstream);
+    const requestSettings = {
+      ...settings,
+      ...(upstream ? upstream.settings : {}),
+      upstream,
+      log,
+      method: req.method,
+      body: getRequestBody(req),
+      headers: req.headers
     };
+    const baseNames = getFixtureBaseNames(req, path, requestSettings);
+    // Responses are captured to the base fixtures, never to a scenario
+    const [baseName] = baseNames;
+    // A scenario's fixtures take precedence over the base fixtures
+    const scenarioBaseNames = req.scenario
+      ? getFixtureBaseNames(req, path, {
+        ...requestSettings,
+        fixturesPath: join(scenariosPath, req.scenario)
+      })
+      : [];
+    // Captured fixtures are bypassed when recording or refreshing;
+    // hand-written JS fixtures are always served.
+    const bypassCapturedFixtures = mode === 'record' ||
+      (mode === 'refresh' && !refreshedFixtures.has(baseName));
+    const fileName = findFixtureFileName(
+      [...scenarioBaseNames, ...baseNames],
+      !bypassCapturedFixtures
+    );
+    const ext = fileName && extname(fileName).slice(1);
 
-    return startListening(app, ports, (err) => callback(err, result));
-  },
+    if (fileName) {
+      req.matched = { type: 'fixture', fileName };
+    }
 
-  close(clientServers, callback) {
-    const servers = clientServers || SERVERS;
-    const activeServers = servers.filter(server => server.active);
-    if (activeServers.length === 0) {
-      return callback(Error('close() invoked without arguments or open servers'));
+    // Handles JSON, JS, and HTML files, then any other captured content type.
+    // If the file is not found, fetch the response from production.
+    if (ext === 'js') {
+      delete require.cache[require.resolve(fileName)] // clear cache to keep JS require dynamic
+      const data = require(fileName).default(getFixtureContext(req));
+      if (watcher) {
+        watchDependencies(watcher, require.cache[require.resolve(fileName)]);
+      }
+      serveResponse(res, data, fileName, { ...settings, log });
+    } else if (ext === 'json') {
+      fs.readFile(fileName, encoding, (err, data) => {
+        serveResponse(res, renderTemplate(data, getFixtureContext(req)), fileName, { ...settings, log });
+      });
+    } else if (ext === 'html') {
+      fs.readFile(fileName, encoding, (err, data) => {
+        serveResponse(res, data, fileName, { ...settings, log });
+      });
+    } else if (fileName) {
+      // Read without an encoding, as the fixture may be binary
+      fs.readFile(fileName, (err, data) => {
+        serveResponse(res, data, fileName, { ...settings, log });
+      });
+    } else if (mode === 'replay-only' && openapi && openapi.hasExample(req)) {
+      openapi.serveExample(req, res);
+    } else if (mode === 'replay-only') {
+      serveMissingFixture(req, res, `${baseName}.json`, { missingFixtures, log });
+    } else {
+      if (mode === 'refresh') {
+        refreshedFixtures.add(baseName);
+      }
+      // Production is preferred to examples, which only stand in for it when
+      // it can't be reached
+      fetchResponse(req, res, { ...requestSettings, path, baseName }, () => {
+        if (openapi && openapi.hasExample(req)) {
+          return openapi.serveExample(req, res);
+        }
+        return res.status(500).end();
+      });
     }
-    const tasks = activeServers.map(serverEntry => {
-      const { server, port } = serverEntry;
-
-      return (callback) => {
-        console.info(`Closing mock API server on port ${port}`);
-        return server.close(err => {
-          serverEntry.active = false;
-          callback(err);
-        });
-      };
+  });
+
+  const servers = [];
+  // The instance is an EventEmitter, emitting each event it logs by name and
+  // as 'event'
+  const result = Object.assign(events, {
+    admin,
+    app,
+    contractViolations: openapi ? openapi.violations : [],
+    journal,
+    missingFixtures,
+    resources,
+    servers,
+    certificate: tlsOptions && tlsOptions.cert,
+    close(callback) {
+      if (watcher) {
+        watcher.close();
+      }
+      return withOptionalCallback(done => closeServers(servers, done), callback);
+    }
+  });
+
+  const listenOptions = { host: settings.host, listeners: getListeners(settings), tlsOptions, log };
+  return startListening(app, listenOptions, servers, (err) => callback(err, result));
+}
+
+// Override fixtures are read when the overrides router is built, so it is
+// rebuilt when one changes. JS fixtures are required afresh for every
+// request, but the modules they require are cached until they change.
+function reloadWatchedFile(fileName, kind, { watcher, overridesRouter, log }) {
+  if (kind === 'override fixture') {
+    try {
+      overridesRouter.rebuild();
+    } catch (e) {
+      return log('file.reloadFailed', { kind, fileName, error: e.message });
+    }
+  } else {
+    // Modules that require the changed one hold on to it, so all are dropped
+    watcher.files(kind).forEach(dependency => {
+      delete require.cache[dependency];
     });
-    return parallel(tasks, callback);
   }
+  return log('file.reloaded', { kind, fileName });
 }
 
-function isValidDuration(latency) {
-  return Number.isFinite(latency) && latency > 0;
+// Watches the modules a JS fixture requires, other than installed packages
+function watchDependencies(watcher, fixtureModule) {
+  const dependencies = fixtureModule ? fixtureModule.children : [];
+  dependencies
+    .filter(dependency => !/[\\/]node_modules[\\/]/.test(dependency.filename))
+    .forEach(dependency => {
+      if (watcher.files('JS fixture dependency').includes(dependency.filename)) {
+        return;
+      }
+      watcher.add(dependency.filename, 'JS fixture dependency');
+      watchDependencies(watcher, dependency);
+    });
+}
+
+function closeServers(servers, callback) {
+  const activeServers = servers.filter(server => server.active);
+  if (activeServers.length === 0) {
+    return callback(Error('close() invoked without arguments or open servers'));
+  }
+  const tasks = activeServers.map(serverEntry => {
+    const { server, port } = serverEntry;
+    // Servers not started by start() log to the console
+    const log = SERVER_LOGGERS.get(serverEntry) || createLogger({});
+
+    return (callback) => {
+      log('server.closing', { port });
+      releaseHungRequests(server);
+      return server.close(err => {
+        serverEntry.active = false;
+        callback(err);
+      });
+    };
+  });
+  return parallel(tasks, callback);
 }
 
-function generateMissingParamsError(options, callback) {
-  if (typeof callback !== 'function') {
-    return new Error('Missing callback');
+// Calls back when given a callback, and otherwise returns a promise
+function withOptionalCallback(task, callback) {
+  if (typeof callback === 'function') {
+    return task(callback);
   }
+  return new Promise((resolve, reject) => {
+    task((err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
 
+function isValidDuration(latency) {
+  return Number.isFinite(latency) && latency > 0;
+}
+
+function generateMissingParamsError(options) {
   for (const key of REQUIRED_CONFIG_OPTIONS) {
     if (typeof options[key] !== 'string') {
       return new Error(`Missing definition of ${key} in config file`);
@@ -116,6 +493,27 @@ function generateMissingParamsError(options, callback) {
   return null;
 }
 
+function generateInvalidSettingsError(settings) {
+  const { mode, journalSize } = settings;
+
+  if (!MODES.includes(mode)) {
+    return new Error(`Invalid mode '${mode}', expected one of: ${MODES.join(', ')}`);
+  }
+
+  if (!(Number.isInteger(journalSize) && journalSize >= 0) && journalSize !== Infinity) {
+    return new Error(`Invalid journalSize '${journalSize}', expected a number of requests from 0 up`);
+  }
+
+  const invalidPort = getListeners(settings)
+    .map(listener => listener.port)
+    .find(port => !Number.isInteger(port) || port < 0 || port > 65535);
+  if (typeof invalidPort !== 'undefined') {
+    return new Error(`Invalid port '${invalidPort}', expected an integer from 0 to 65535`);
+  }
+
+  return null;
+}
+
 function setCorsMiddleware(app, whitelist) {
   const corsOptions = {
     origin(origin, callback) {
@@ -128,51 +526,277 @@ function setCorsMiddleware(app, whitelist) {
   app.use(corsMiddleware);
 }
 
-function simulateLatency(app, latency) {
-  const latencyMiddleware = (_req, _res, next) =>
-    global.setTimeout(next, latency);
+function simulateLatency(app, getLatency) {
+  const latencyMiddleware = (_req, _res, next) => {
+    const latency = getLatency();
+    if (isValidDuration(latency)) {
+      global.setTimeout(next, latency);
+    } else {
+      next();
+    }
+  };
 
   app.use(latencyMiddleware);
 }
 
-function startListening(app, ports, callback) {
-  const tasks = ports.map(port => {
-    return (callback) => {
-      const activeServers = SERVERS.filter(server => server.active);
-      if (activeServers.map(server => server.port).includes(port)) {
-        console.warn(`Port ${port} specified more than once in config file`);
-        return;
-      }
-      const server = app.listen(port, (err) => {
-        if (err) {
-          callback(err);
-        } else {
-          console.info(`Mock API server listening on port ${port}`);
-          callback(null);
+// A router that can be rebuilt from scratch, so that the routes it holds can
+// change while the server is running. A build that throws leaves the routes
+// as they were.
+function createDynamicRouter(build) {
+  let router;
+  const middleware = (req, res, next) => router(req, res, next);
+
+  middleware.rebuild = () => {
+    const nextRouter = new express.Router();
+    build(nextRouter);
+    router = nextRouter;
+  };
+  middleware.rebuild();
+
+  return middleware;
+}
+
+function createAdmin(options) {
+  const {
+    initialRuntime,
+    runtime,
+    overridesRouter,
+    fixtureRoutesRouter,
+    sequences,
+    resources,
+    scenariosPath
+  } = options;
+  const restore = () => {
+    Object.assign(runtime, initialRuntime);
+    sequences.reset();
+    overridesRouter.rebuild();
+    fixtureRoutesRouter.rebuild();
+  };
+  const update = (router, changes) => {
+    const previous = { ...runtime };
+    Object.assign(runtime, changes);
+    try {
+      router.rebuild();
+    } catch (e) {
+      Object.assign(runtime, previous);
+      throw e;
+    }
+  };
+
+  return {
+    addOverride(method, params) {
+      const overrides = runtime.overrides[method] || [];
+      update(overridesRouter, {
+        overrides: { ...runtime.overrides, [method]: [params, ...overrides] }
+      });
+    },
+
+    removeOverride(method, route) {
+      const overrides = runtime.overrides[method] || [];
+      update(overridesRouter, {
+        overrides: {
+          ...runtime.overrides,
+          [method]: overrides.filter(override => override.route !== route)
         }
       });
-      SERVERS.push({
-        port,
-        server,
-        active: true
+    },
+
+    // Serves the given fixture for route, in place of any other
+    setFixture(route, fixture) {
+      validateFixtureName(fixture);
+      update(fixtureRoutesRouter, {
+        swappedFixtures: { ...runtime.swappedFixtures, [route]: fixture }
       });
+    },
+
+    removeFixture(route) {
+      const swappedFixtures = { ...runtime.swappedFixtures };
+      delete swappedFixtures[route];
+      update(fixtureRoutesRouter, { swappedFixtures });
+    },
+
+    setLatency(latency) {
+      runtime.latency = latency;
+    },
+
+    // Serves the fixtures of the named scenario, over the base fixtures, to
+    // requests that don't select one themselves. null selects none.
+    setScenario(scenario) {
+      if (scenario !== null) {
+        validateScenario(scenariosPath, scenario);
+      }
+      runtime.scenario = scenario;
+    },
+
+    getState() {
+      const { latency, overrides, fixtureRoutes, swappedFixtures, scenario } = runtime;
+      return {
+        latency,
+        overrides,
+        fixtureRoutes,
+        swappedFixtures,
+        scenario,
+        scenarios: listScenarios(scenariosPath)
+      };
+    },
+
+    reset() {
+      restore();
+      resources.reset();
+    },
+
+    // Replaces the overrides, fixtureRoutes, latency and scenario that reset()
+    // restores, e.g. when a config file changes, discarding any changed at
+    // runtime
+    reloadConfig({ overrides = {}, fixtureRoutes = {}, latency = 0, scenario = null }) {
+      const previous = { ...initialRuntime };
+      if (scenario !== null) {
+        validateScenario(scenariosPath, scenario);
+      }
+      Object.assign(initialRuntime, { overrides, fixtureRoutes, latency, scenario });
+      try {
+        restore();
+      } catch (e) {
+        Object.assign(initialRuntime, previous);
+        restore();
+        throw e;
+      }
+    }
+  };
+}
+
+// Throws unless fixture names a path within fixturesPath. Names come from
+// the admin API, which anyone who can reach the server can call, and JS
+// fixtures are run when served, so anything leading outside it is rejected.
+function validateFixtureName(fixture) {
+  const isWithinFixtures = typeof fixture === 'string' &&
+    fixture.length > 0 &&
+    !fixture.split(/[\\/]/).includes('..');
+
+  if (!isWithinFixtures) {
+    throw Error(`Invalid fixture '${fixture}', expected a path within fixturesPath`);
+  }
+}
+
+// Throws unless the redact option, and that of each upstream, can be applied
+function validateRedactOptions(settings, upstreams) {
+  validateRedact(settings.redact);
+  upstreams.forEach(upstream => validateRedact(upstream.settings.redact));
+}
+
+// The ports to listen on, each with its protocol
+function getListeners(settings) {
+  const { ports, https } = settings;
+  const httpsPorts = (https && https.ports) || [];
+
+  return [
+    ...ports.map(port => ({ port, protocol: 'http' })),
+    ...httpsPorts.map(port => ({ port, protocol: 'https' }))
+  ];
+}
+
+// Reads the key and certificate to serve HTTPS with, or generates a
+// self-signed certificate for localhost when neither is given.
+function getTLSOptions(options, encoding) {
+  const { key, cert } = options;
+
+  if (!key && !cert) {
+    const pems = selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+      days: 365,
+      keySize: 2048,
+      algorithm: 'sha256',
+      extensions: [
+        { name: 'subjectAltName', altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' }
+        ] }
+      ]
+    });
+    return { key: pems.private, cert: pems.cert };
+  }
+
+  if (!key || !cert) {
+    throw Error('Both https.key and https.cert are required to serve a supplied certificate');
+  }
+
+  try {
+    return {
+      key: fs.readFileSync(key, encoding),
+      cert: fs.readFileSync(cert, encoding)
+    };
+  } catch (e) {
+    throw Error(`Couldn't read the HTTPS key or certificate: ${e.message}`);
+  }
+}
+
+// Listens on each port, closing any servers already listening when another
+// fails to, so that start() either has all of its servers or none.
+function startListening(app, options, servers, callback) {
+  const { host, listeners, tlsOptions, log } = options;
+  const ports = listeners.map(listener => listener.port);
+  const duplicatePort = ports.find((port, index) => port !== 0 && ports.indexOf(port) !== index);
+  if (typeof duplicatePort !== 'undefined') {
+    return callback(Error(`Port ${duplicatePort} specified more than once in config file`));
+  }
+
+  const tasks = listeners.map(({ port, protocol }) => {
+    return (callback) => {
+      const server = protocol === 'https' ?
+        https.createServer(tlsOptions, app) :
+        http.createServer(app);
+      const onError = (err) => callback(null, err);
+
+      server.once('error', onError);
+      server.listen(port, host, () => {
+        server.removeListener('error', onError);
+        const serverEntry = {
+          port: server.address().port,
+          protocol,
+          server,
+          active: true
+        };
+        const url = `${protocol}://${host || 'localhost'}:${serverEntry.port}`;
+        log('server.listening', { protocol, host, port: serverEntry.port, url });
+        SERVER_LOGGERS.set(serverEntry, log);
+        servers.push(serverEntry);
+        SERVERS.push(serverEntry);
+        callback(null);
+      });
+    };
+  });
+
+  return parallel(tasks, (_err, errors) => {
+    const error = errors.find(Boolean);
+    if (!error) {
+      return callback(null);
+    }
+    if (error.code === 'EADDRINUSE') {
+      error.message = `Port ${error.port} is already in use`;
     }
+    if (servers.length === 0) {
+      return callback(error);
+    }
+    return closeServers(servers, () => callback(error));
   });
-  return parallel(tasks, callback);
 }
 
 
 function delegateRouteOverrides(app, options) {
   // Setup default values
-  const { overrides, encoding, quiet } = options;
+  const { overrides, sequences, bodyLimit, log } = options;
   const methods = ['get', 'post', 'put', 'delete', 'all'];
   const defaults = {
     status: 200,
     headers: { 'Content-Type': 'application/json' }
   };
+  // Keep the raw body around so requests falling through to the production
+  // API can still be forwarded once the parsers below have consumed them.
+  const verify = (req, _res, buf) => {
+    req.rawBody = buf;
+  };
   const jsonMiddleware = [
-    bodyParser.json(),
-    bodyParser.urlencoded({ extended: true })
+    bodyParser.json({ verify, limit: bodyLimit }),
+    bodyParser.urlencoded({ extended: true, verify, limit: bodyLimit })
   ];
 
   Object.keys(overrides).forEach(method => {
@@ -182,106 +806,271 @@ function delegateRouteOverrides(app, options) {
     }
 
     // Iterate through get, post, etc
-    overrides[method].forEach(params => {
-      let fixture;
+    orderOverrides(overrides[method]).forEach(params => {
       const routeParams = { ...defaults, ...params };
       const {
         route,
-        status,
-        response,
-        headers,
         mergeParams,
-        withQueryParams: queryParams = {}
+        responses,
+        responseOrder = 'sequential'
       } = routeParams;
-      const responseIsJson = JSON_CONTENT_TYPE_REGEXP.test(headers['Content-Type']);
 
       if (!route) {
         throw Error('Encountered an HTTP method override without a specified route');
       }
 
-      if (!response) {
-        const fileName = getFileName(route, options, 'json');
-        fs.readFile(fileName, encoding, (err, data) => {
-          if (err) {
-            throw Error(`Route override specified for '${route}' with no response or matching fixture`);
-          } else {
-            fixture = data;
-          }
-        });
-      } else if (responseIsJson) {
-        fixture = JSON.stringify(response);
-      } else {
-        fixture = response;
+      if (!RESPONSE_ORDERS.includes(responseOrder)) {
+        throw Error(`Invalid responseOrder '${responseOrder}' for '${route}', expected one of: ${RESPONSE_ORDERS.join(', ')}`);
       }
 
+      // Each of the `responses` falls back to the override's own status,
+      // response, headers and latency
+      const overrideResponses = (responses || [{}]).map(entry =>
+        loadOverrideResponse({
+          ...routeParams,
+          ...entry,
+          headers: { ...routeParams.headers, ...entry.headers }
+        }, method, options)
+      );
+
       app[method].call(app, route, jsonMiddleware, (req, res, next) => {
-        if (!quiet) {
-          console.info(`==> 📁  Serving local fixture for ${method.toUpperCase()} -> '${route}'`);
+        if (!matchesConditions(req, routeParams)) {
+          return next();
         }
-        for (const [param, value] of Object.entries(queryParams)) {
-          if (req.query[param] !== value) {
-            return next();
-          }
+        log('override.matched', { method, route, url: req.originalUrl });
+        req.matched = { type: 'override', method, route };
+        const { status, headers, latency, getFixture, responseIsJson } =
+          pickOverrideResponse(overrideResponses, responseOrder, sequences.next(params), sequences.random);
+        const send = () => {
+          const renderedFixture = responseIsJson
+            ? renderTemplate(getFixture(), getFixtureContext(req))
+            : getFixture();
+          const payload = responseIsJson && typeof mergeParams === 'function'
+            ? mergeParams(JSON.parse(renderedFixture), req.body)
+            : renderedFixture;
+          res
+            .status(status)
+            .set(headers)
+            .send(payload);
+        };
+
+        if (isValidDuration(latency)) {
+          return global.setTimeout(send, latency);
         }
-        const payload = responseIsJson && typeof mergeParams === 'function'
-          ? mergeParams(JSON.parse(fixture), req.body)
-          : fixture;
-        res
-          .status(status)
-          .set(headers)
-          .send(payload);
+        return send();
       });
     });
   });
 }
 
-function fetchResponse(req, res, fileName, options) {
-  if (req.method !== 'GET') {
-    console.error(`==> ⛔️  Couldn't complete fetch with non-GET method`);
-    return res.status(500).end();
+// Overrides are tried in the order given, except that those of the same route
+// are tried from the one with the most conditions, so that a catch-all never
+// shadows a more specific override. Sorting is stable, so ties keep their
+// order.
+function orderOverrides(overrides) {
+  const byRoute = overrides.reduce((groups, params, index) => {
+    const group = groups.get(params.route) || [];
+    return groups.set(params.route, [...group, { params, index }]);
+  }, new Map());
+
+  byRoute.forEach(group => group.sort((a, b) => {
+    return countConditions(b.params) - countConditions(a.params) || a.index - b.index;
+  }));
+
+  // Each route's overrides take the places its overrides were given in
+  const positions = new Map();
+  return overrides.map(({ route }) => {
+    const position = positions.get(route) || 0;
+    positions.set(route, position + 1);
+    return byRoute.get(route)[position].params;
+  });
+}
+
+// Prepares one of an override's responses. Without a `response`, the fixture
+// for the route is read ahead of the first request.
+function loadOverrideResponse(params, method, options) {
+  const { route, status, response, headers, latency } = params;
+  const responseIsJson = JSON_CONTENT_TYPE_REGEXP.test(headers['Content-Type']);
+  let fixture;
+
+  if (!response) {
+    const routeOptions = {
+      ...options,
+      method: method === 'all' ? 'GET' : method.toUpperCase()
+    };
+    const fileNames = getDefaultFixtureBaseNames(route, routeOptions)
+      .map(baseName => `${baseName}.json`);
+    const fileName = fileNames.find(fileName => fs.existsSync(fileName)) || fileNames[0];
+    if (options.watcher) {
+      options.watcher.add(fileName, 'override fixture');
+    }
+    // Read up front, so that a rebuilt router never serves a fixture still
+    // being read, and a missing fixture fails the change that needed it
+    try {
+      fixture = fs.readFileSync(fileName, options.encoding);
+    } catch (e) {
+      throw Error(`Route override specified for '${route}' with no response or matching fixture`);
+    }
+  } else if (responseIsJson) {
+    fixture = JSON.stringify(response);
+  } else {
+    fixture = response;
   }
 
-  let responseIsJson;
-  const { prodRootURL, saveFixtures, path } = options;
+  return {
+    status,
+    headers,
+    latency,
+    responseIsJson,
+    getFixture: () => fixture
+  };
+}
+
+// Counts the requests served by each override, by its params, which stay the
+// same object until the override is changed. Random orders are drawn from a
+// generator seeded with `faults.seed`, when given, so that they can be
+// repeated too.
+function createOverrideSequences(faults) {
+  let calls, random;
+  const sequences = {
+    next(params) {
+      const call = calls.get(params) || 0;
+      calls.set(params, call + 1);
+      return call;
+    },
+    random: () => random(),
+    reset() {
+      calls = new WeakMap();
+      random = getRandom(faults && faults.seed);
+    }
+  };
+
+  sequences.reset();
+  return sequences;
+}
+
+// Serves an override's responses in order, repeating the last one once they
+// run out, or in a loop, or at random
+function pickOverrideResponse(overrideResponses, responseOrder, call, random) {
+  if (responseOrder === 'random') {
+    return overrideResponses[Math.floor(random() * overrideResponses.length)];
+  }
+  if (responseOrder === 'cycle') {
+    return overrideResponses[call % overrideResponses.length];
+  }
+  return overrideResponses[Math.min(call, overrideResponses.length - 1)];
+}
+
+// Marks requests matching an Express path such as '/articles/:slug' with the
+// fixture mapped to it, and its params, under req[key]. See
+// getFixtureBaseNames() for how these take precedence.
+function delegateFixtureRoutes(app, fixtureRoutes, key) {
+  Object.keys(fixtureRoutes).forEach(route => {
+    app.all(route, (req, _res, next) => {
+      if (!req[key]) {
+        req[key] = {
+          fixture: fixtureRoutes[route],
+          params: req.params
+        };
+      }
+      next();
+    });
+  });
+}
+
+function fetchResponse(req, res, options, onFailure) {
+  let responseIsJson, meta, fileName;
+  const { prodRootURL, saveFixtures, path, baseName, log } = options;
   const prodURL = prodRootURL + path;
   const responseIsJsonp = prodURL.match(/callback\=([^\&]+)/);
+  const fetchOptions = { ...getFetchOptions(req, options), redirect: 'manual' };
+
+  req.matched = { type: 'production', url: prodURL };
+
+  const fail = err => {
+    log('fetch.failed', { url: prodURL, error: String(err) });
+    onFailure();
+  };
+  const deliver = ({ data, meta: redactedMeta }) => {
+    const serve = () =>
+      serveResponse(res, data, fileName, { ...options, newResponse: true, meta: redactedMeta });
 
-  console.info(`==> 📡  GET ${prodRootURL} -> ${path}`);
-  fetch(prodRootURL + path)
+    if (!saveFixtures) {
+      return serve();
+    }
+    // Served once saved, so that a repeated request replays the fixture
+    try {
+      return saveFixture(fileName, data, responseIsJson, redactedMeta, logCaptured(log, serve, prodURL));
+    } catch (e) {
+      return fail(e);
+    }
+  };
+
+  log('fetch.started', { method: fetchOptions.method, prodRootURL, path, url: prodURL });
+  fetch(prodURL, fetchOptions)
     .then(response => {
-      if (response.ok) {
-        console.info(`==> 📡  STATUS ${response.status}`);
+      // Redirects and client errors are part of the API's behavior and are
+      // captured as-is; server errors are assumed to be transient.
+      if (response.status < 500) {
+        log('fetch.completed', { url: prodURL, status: response.status });
       } else {
         throw Error(`Couldn't complete fetch with status ${response.status}`);
       }
 
-      const contentType = response.headers.get('Content-Type');
-      responseIsJson = (contentType.match(/(javascript|json)/) && !responseIsJsonp);
-      if (responseIsJson) {
-        return response.json();
-      } else if (responseIsJsonp || contentType.match(/text/)) {
-        return response.text();
-      } else {
-        throw Error(`Couldn't complete fetch with Content-Type '${contentType}'`);
-      }
+      meta = getResponseMeta(response, prodRootURL, options.upstream);
+      const format = getResponseFormat(response.headers.get('Content-Type'), responseIsJsonp, response.status);
+      responseIsJson = format.read === 'json';
+      fileName = `${baseName}.${format.extension}`;
+      return response[format.read]();
     })
-    .then(data => {
-      if (saveFixtures) {
-        saveFixture(fileName, data, responseIsJson);
-      }
-      serveResponse(res, data, fileName, { ...options, newResponse: true });
+    .then(fetchedData => {
+      // Redacted before being saved, and served as saved, so that the first
+      // response matches those replayed from the fixture
+      return redactResponse(options.redact, { data: fetchedData, meta }, {
+        url: prodURL,
+        fileName,
+        isJson: Boolean(responseIsJson)
+      });
     })
-    .catch(err => {
-      console.error(`==> ⛔️  ${err}`);
-      res.status(500).end();
-    });
+    // Continued outside the promise, so that an error while serving is never
+    // taken for a failed fetch and answered a second time
+    .then(
+      redacted => process.nextTick(() => deliver(redacted)),
+      err => process.nextTick(() => fail(err))
+    );
+}
+
+function serveMissingFixture(req, res, fileName, { missingFixtures, log }) {
+  const message = `No fixture for ${req.method} ${req.originalUrl} in replay-only mode`;
+
+  // Always reported, even when quiet, since this is a test failure
+  log('fixture.missing', { method: req.method, url: req.originalUrl, message, fileName });
+  req.matched = { type: 'missing', fileName };
+  missingFixtures.push({
+    method: req.method,
+    path: req.originalUrl,
+    fileName
+  });
+
+  res
+    .status(501)
+    .json({ error: message, fixture: fileName });
 }
 
 function serveResponse(res, data, fileName, options) {
-  const { quiet, newResponse } = options;
+  const { newResponse, encoding, log } = options;
+  const meta = newResponse
+    ? options.meta
+    : readFixtureMeta(fileName, encoding, log);
+
+  if (!newResponse) {
+    log('fixture.served', { fileName });
+  }
 
-  if (!quiet && !newResponse) {
-    console.info(`==> 📁  Serving local response from ${fileName}`);
+  if (meta) {
+    res
+      .status(meta.status)
+      .set(meta.headers);
   }
 
   if (fileName.match(/callback\=/)) {
@@ -290,7 +1079,12 @@ function serveResponse(res, data, fileName, options) {
       .send(data);
   }
 
-  if (fileName.match(/.json/)) {
+  const ext = extname(fileName).slice(1);
+
+  if (ext === 'json') {
+    if (!data || data.length === 0) {
+      return res.end();
+    }
     try {
       if (newResponse) {
         // data is from fetch's response.json() and does not need parsing
@@ -299,46 +1093,404 @@ function serveResponse(res, data, fileName, options) {
       // data is from fs.readFile() and needs parsing
       return res.json(JSON.parse(data));
     } catch (e) {
-      console.error(`⛔️ Could not parse and serve invalid JSON: ${e}`);
+      log('fixture.invalid', { fileName, error: String(e) });
       return res.json({});
     }
   }
 
-  if (fileName.match(/.js/)) {
+  if (ext === 'js') {
     return res.json(data);
   }
 
-  if (fileName.match(/.html/)) {
+  if (ext === 'html') {
     return res
       .set({ 'Content-Type': 'text/html' })
       .send(data);
   }
 
-  console.error('⛔️ Filename extension was not recognized. Please check that your fixture ends in .js, .json, or .html!');
+  // Any other content type is served as-is, preferring the Content-Type
+  // persisted alongside the fixture over one inferred from its extension.
+  if (!res.get('Content-Type')) {
+    res.type(mime.lookup(ext));
+  }
+  return res.send(Buffer.isBuffer(data) ? data : Buffer.from(data));
 }
 
-function saveFixture(fileName, response, responseIsJson) {
+function saveFixture(fileName, response, responseIsJson, meta, callback) {
   const data = responseIsJson
     ? JSON.stringify(response)
     : response;
+  const metaFileName = getFixtureMetaFileName(fileName);
+  const tasks = [
+    (callback) => fs.writeFile(fileName, data, () => callback())
+  ];
+
+  if (meta) {
+    tasks.push((callback) => fs.writeFile(metaFileName, JSON.stringify(meta, null, 2), () => callback()));
+  }
 
   try {
-    fs.writeFile(fileName, data, () => {
-      console.info(`==> 💾  Saved response to ${fileName}`);
-    });
+    mkdirp(dirname(fileName));
   } catch (e) {
     throw Error(`Couldn't write response locally, received fs error: '${e}'`)
   }
+  parallel(tasks, () => callback({ fileName, metaFileName: meta ? metaFileName : null }));
+}
+
+// Wraps a callback of saveFixture() to log the files it saved
+function logCaptured(log, callback, url) {
+  return (saved) => {
+    log('fixture.captured', { ...saved, url });
+    callback();
+  };
+}
+
+// How a response with the given Content-Type and status is read, as 'json',
+// 'text' or a 'buffer', and the extension its fixture is saved with. JSON,
+// JSONP and bodiless responses keep the .json extension they have always
+// been saved with.
+function getResponseFormat(contentType, isJsonp, status) {
+  if (BODILESS_STATUSES.includes(status)) {
+    return { read: 'text', extension: 'json' };
+  }
+  if (JSON_CONTENT_TYPE_REGEXP.test(contentType || '') && !isJsonp) {
+    return { read: 'json', extension: 'json' };
+  } else if (isJsonp || !contentType) {
+    return { read: 'text', extension: 'json' };
+  } else if (contentType.match(/text/)) {
+    return { read: 'text', extension: getExtension(contentType) };
+  }
+  return { read: 'buffer', extension: getExtension(contentType) };
+}
+
+function getResponseMeta(response, prodRootURL, upstream) {
+  return getFixtureMeta(response.status, response.headers.raw(), prodRootURL, upstream);
+}
+
+// The status and headers saved alongside a fixture, from the lists of values
+// of each header by lowercase name. Responses of an upstream are given the
+// upstream too, for redirects to lead back under its prefix.
+function getFixtureMeta(status, rawHeaders, prodRootURL, upstream = null) {
+  const headers = {};
+
+  Object.keys(rawHeaders).forEach(name => {
+    if (TRANSIENT_HEADERS.includes(name) || name.startsWith('access-control-')) {
+      return;
+    }
+    const values = rawHeaders[name];
+    headers[name] = values.length === 1 ? values[0] : values;
+  });
+
+  // Keep redirects pointing at the mock API rather than production
+  if (typeof headers.location === 'string' && headers.location.startsWith(prodRootURL)) {
+    const prefix = upstream && upstream.prefix ? upstream.prefix : '';
+    headers.location = prefix + '/' + headers.location
+      .slice(prodRootURL.length)
+      .replace(/^\//, '');
+  }
+
+  return {
+    status,
+    headers
+  };
+}
+
+// Fixtures saved before metadata was recorded have no sidecar file, and
+// are served with a 200 and a Content-Type inferred from their extension.
+function readFixtureMeta(fileName, encoding, log) {
+  const metaFileName = getFixtureMetaFileName(fileName);
+
+  if (!fs.existsSync(metaFileName)) {
+    return null;
+  }
+
+  try {
+    const { status = 200, headers = {} } = JSON.parse(fs.readFileSync(metaFileName, encoding));
+    return { status, headers };
+  } catch (e) {
+    log('fixture.invalidMeta', { fileName: metaFileName, error: String(e) });
+    return null;
+  }
 }
 
-function getFileName(path, ext, options) {
-  const { queryStringIgnore, fixturesPath } = options;
-  const fileNameInDirectory = queryStringIgnore
-    .reduce((fileName, regex) => fileName.replace(regex, ''), path)
+function getFixtureMetaFileName(fileName) {
+  return `${fileName}.${FIXTURE_META_EXTENSION}`;
+}
+
+function getFetchOptions(req, options) {
+  const { forwardHeaders, prodHeaders } = options;
+  const headers = {};
+
+  forwardHeaders.forEach(name => {
+    const value = req.get(name);
+    if (value) {
+      headers[name] = value;
+    }
+  });
+
+  // HEAD requests are fetched as GET so the body can be persisted;
+  // Express strips it from the response on the way out.
+  if (BODILESS_METHODS.includes(req.method)) {
+    return {
+      method: 'GET',
+      headers: { ...headers, ...prodHeaders }
+    };
+  }
+
+  const contentType = req.get('Content-Type');
+  if (contentType) {
+    headers['Content-Type'] = contentType;
+  }
+
+  return {
+    method: req.method,
+    headers: { ...headers, ...prodHeaders },
+    body: getRequestBody(req)
+  };
+}
+
+function getRequestBody(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  // Set by the override body parsers when an override fell through
+  return req.rawBody;
+}
+
+// Candidate fixture paths, without extension, in order of precedence: one
+// swapped in through the admin API, the one supplied by the fixtureResolver
+// option, the nested layout fixtures are saved with, the flat layout of
+// earlier versions, and the one mapped to a matching route in the
+// fixtureRoutes option.
+function getFixtureBaseNames(req, path, options) {
+  const { fixtureResolver, fixturesPath } = options;
+  const resolvedName = typeof fixtureResolver === 'function' && fixtureResolver(req);
+  const toBaseName = name => `${fixturesPath}/${name.replace(/^\//, '')}`;
+
+  return [
+    ...(req.swappedFixture ? [toBaseName(req.swappedFixture.fixture)] : []),
+    ...(resolvedName ? [toBaseName(resolvedName)] : []),
+    ...getDefaultFixtureBaseNames(path, options),
+    ...(req.fixtureRoute ? [toBaseName(req.fixtureRoute.fixture)] : [])
+  ];
+}
+
+// The default names of requests for an upstream are in its subdirectory,
+// while named fixtures remain relative to fixturesPath.
+function getDefaultFixtureBaseNames(path, options) {
+  const { fixturesPath, upstream } = options;
+  const defaultOptions = upstream
+    ? { ...options, fixturesPath: join(fixturesPath, upstream.directory) }
+    : options;
+
+  return [
+    getFixtureBaseName(path, defaultOptions),
+    getLegacyFixtureBaseName(path, defaultOptions)
+  ];
+}
+
+// Maps e.g. a GET for '/a/b?x=1' to 'a/b/__x=1.GET', or with an
+// 'Accept-Language: fr' request header listed in varyHeaders, to
+// 'a/b/__x=1.GET.accept-language=fr'
+function getFixtureBaseName(path, options) {
+  const { queryStringIgnore, fixturesPath, method, body } = options;
+  const [pathname, ...query] = stripIgnoredQueryStrings(path, queryStringIgnore).split('?');
+  const directories = pathname
+    .split('/')
+    .filter(segment => segment.length > 0)
+    .map(segment => shortenFileName(toFileName(segment)));
+  const fileName = shortenFileName(`__${toFileName(query.join('?'))}`);
+  const requestMethod = !method || method === 'HEAD' ? 'GET' : method;
+  const requestKey = BODILESS_METHODS.includes(requestMethod) || !body || body.length === 0
+    ? requestMethod
+    : `${requestMethod}.${hash(body)}`;
+  const varyKey = getVaryKey(options);
+
+  return [fixturesPath, ...directories, `${fileName}.${requestKey}${varyKey}`].join('/');
+}
+
+// Requests without any of the varyHeaders share a fixture, keyed as if the
+// option was not set.
+function getVaryKey(options) {
+  const { varyHeaders, headers = {} } = options;
+  const varyKey = varyHeaders
+    .map(name => name.toLowerCase())
+    .filter(name => headers[name])
+    .map(name => `${name}=${headers[name]}`)
+    .join('&');
+
+  return varyKey ? `.${shortenFileName(toFileName(varyKey))}` : '';
+}
+
+// Maps e.g. a GET for '/a/b?x=1' to 'a:b?x=1'
+function getLegacyFixtureBaseName(path, options) {
+  const { queryStringIgnore, fixturesPath, method, body } = options;
+  const fileNameInDirectory = stripIgnoredQueryStrings(path, queryStringIgnore)
     .replace(/\//, '')
     .replace(/\//g, ':');
 
-  return `${fixturesPath}/${fileNameInDirectory}.${ext}`;
+  return `${fixturesPath}/${fileNameInDirectory}${getRequestKey(method, body)}`;
+}
+
+function stripIgnoredQueryStrings(path, queryStringIgnore) {
+  return queryStringIgnore.reduce((fileName, regex) => fileName.replace(regex, ''), path);
+}
+
+// Percent-encodes characters that are unsafe in file names on some
+// filesystems, along with '%' itself so that distinct URLs never share a
+// fixture. Leading underscores are encoded as well, so a path segment can't
+// be mistaken for the file name of its parent route.
+function toFileName(segment) {
+  const fileName = segment
+    .replace(UNSAFE_FILE_NAME_CHARACTERS, character =>
+      '%' + `0${character.charCodeAt(0).toString(16).toUpperCase()}`.slice(-2)
+    )
+    .replace(/^__/, '%5F_');
+
+  return fileName === '.' || fileName === '..'
+    ? fileName.replace(/\./g, '%2E')
+    : fileName;
+}
+
+// Truncates names that would exceed filesystem limits, keeping them unique
+// by appending a hash of the full name.
+function shortenFileName(fileName) {
+  if (fileName.length <= MAX_FILE_NAME_LENGTH) {
+    return fileName;
+  }
+
+  return `${fileName.slice(0, MAX_FILE_NAME_LENGTH - 11)}~${hash(fileName)}`;
+}
+
+// Finds a fixture at the first of the given paths that has one, preferring
+// JSON, JS, and HTML files over any other extension, e.g. one captured from a
+// route serving images or PDFs. Only JS fixtures are considered when
+// includeCaptured is false.
+function findFixtureFileName(baseNames, includeCaptured) {
+  for (const baseName of baseNames) {
+    const fileName = ['json', 'js', 'html']
+      .filter(ext => includeCaptured || ext === 'js')
+      .map(ext => `${baseName}.${ext}`)
+      .find(fileName => fs.existsSync(fileName));
+
+    if (fileName) {
+      return fileName;
+    }
+
+    const capturedFileName = includeCaptured && findCapturedFileName(baseName);
+    if (capturedFileName) {
+      return capturedFileName;
+    }
+  }
+
+  return null;
+}
+
+function findCapturedFileName(baseName) {
+  const directory = dirname(baseName);
+  const prefix = `${basename(baseName)}.`;
+
+  if (!fs.existsSync(directory)) {
+    return null;
+  }
+
+  const fileName = fs.readdirSync(directory).find(file => {
+    const ext = file.slice(prefix.length);
+    return file.startsWith(prefix) &&
+      /^[^.]+$/.test(ext) &&
+      ext !== FIXTURE_META_EXTENSION;
+  });
+
+  return fileName ? `${directory}/${fileName}` : null;
+}
+
+function getExtension(contentType) {
+  return mime.extension(contentType) || BINARY_FIXTURE_EXTENSION;
+}
+
+// In the flat layout, GET (and HEAD) fixtures keep their bare file names.
+// Other methods are keyed by method and, when a body was sent, a hash of that
+// body, so that e.g. two searches POSTed to the same route are side by side.
+function getRequestKey(method, body) {
+  if (!method || BODILESS_METHODS.includes(method)) {
+    return '';
+  }
+
+  if (!body || body.length === 0) {
+    return `.${method}`;
+  }
+
+  return `.${method}.${hash(body)}`;
+}
+
+function hash(data) {
+  return crypto
+    .createHash('sha1')
+    .update(data)
+    .digest('hex')
+    .slice(0, 10);
+}
+
+function mkdirp(directory) {
+  if (!fs.existsSync(directory)) {
+    mkdirp(dirname(directory));
+    fs.mkdirSync(directory);
+  }
+}
+
+// What JS fixtures are called with, and JSON fixture templates can refer to
+function getFixtureContext(req) {
+  return {
+    method: req.method,
+    path: req.path,
+    params: (req.swappedFixture || req.fixtureRoute || req).params,
+    query: req.query,
+    headers: req.headers,
+    body: getParsedRequestBody(req)
+  };
+}
+
+function getParsedRequestBody(req) {
+  if (!Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  const body = req.body.toString();
+  if (req.is('json')) {
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+  if (req.is('urlencoded')) {
+    return querystring.parse(body);
+  }
+  return body;
+}
+
+// Replaces placeholders such as {{params.id}} in a JSON fixture with values
+// from the request. Values are escaped for use within a JSON string, so
+// "{{query.q}}" renders a string while {{query.page}} can render a number.
+function renderTemplate(data, context) {
+  if (typeof data !== 'string') {
+    return data;
+  }
+
+  return data.replace(TEMPLATE_PLACEHOLDER_REGEXP, (_placeholder, source, keyPath) => {
+    // Header names are matched case-insensitively, as Node lowercases them
+    const keys = (source === 'headers' ? keyPath.toLowerCase() : keyPath)
+      .split('.')
+      .filter(key => key.length > 0);
+    const value = keys.reduce((object, key) => (object || {})[key], context[source]);
+
+    if (value === null || typeof value === 'undefined') {
+      return '';
+    }
+
+    const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return JSON.stringify(stringValue).slice(1, -1);
+  });
 }
 
 function getURLPathWithQueryString(req) {
@@ -0,0 +1,590 @@
+import bodyParser from 'body-parser';
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { extname } from 'path';
+
+const DEFAULT_OPENAPI_OPTIONS = {
+  generateResponses: true,
+  validateRequests: 'warn',
+  validateResponses: 'warn'
+};
+const VALIDATION_LEVELS = ['fail', 'warn', false];
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const JSON_MEDIA_TYPE_REGEXP = /json/;
+// Deep enough for any real payload, while stopping at recursive schemas
+const MAX_EXAMPLE_DEPTH = 8;
+
+// Loads the OpenAPI 3 or Swagger 2 document given in the `openapi` option, to
+// generate example responses from, and validate requests and responses
+// against. Contract violations are collected in `violations`.
+export function createOpenAPI(options) {
+  const settings = getOpenAPIOptions(options.openapi);
+  const { validateRequests, validateResponses, generateResponses } = settings;
+  const document = loadDocument(settings.document, options.encoding);
+  validateReferences(document);
+  const operations = getOperations(document);
+  const violations = [];
+  const jsonMiddleware = [
+    bodyParser.json({ verify, limit: options.bodyLimit }),
+    bodyParser.urlencoded({ extended: true, verify, limit: options.bodyLimit })
+  ];
+
+  const report = (req, kind, errors, level) => {
+    violations.push({ kind, method: req.method, path: req.path, errors });
+    options.log('openapi.violation', { kind, method: req.method, path: req.path, errors },
+      level === 'fail' ? 'error' : 'warn');
+  };
+
+  return {
+    violations,
+
+    // Validates requests for operations in the document, and the JSON
+    // responses they're served
+    middleware(req, res, next) {
+      const match = findOperation(operations, req);
+      if (!match) {
+        return next();
+      }
+      req.openAPIOperation = match;
+
+      if (validateResponses) {
+        checkResponses(req, res, document, match.operation, (errors) => {
+          report(req, 'response', errors, validateResponses);
+          return validateResponses === 'fail';
+        });
+      }
+
+      return parseBody(req, res, jsonMiddleware, (err) => {
+        if (!validateRequests) {
+          return next();
+        }
+        let errors;
+        try {
+          errors = err
+            ? [`body could not be parsed: ${err.message}`]
+            : validateRequest(req, document, match);
+        } catch (e) {
+          return next(e);
+        }
+        if (errors.length === 0) {
+          return next();
+        }
+        report(req, 'request', errors, validateRequests);
+        if (validateRequests !== 'fail') {
+          return next();
+        }
+        return res
+          .status(400)
+          .json({ error: 'Request does not match the OpenAPI document', errors });
+      });
+    },
+
+    // Whether an example response can be served for a request the document
+    // describes
+    hasExample(req) {
+      const match = req.openAPIOperation;
+      return Boolean(generateResponses && match && getExampleResponse(document, match.operation));
+    },
+
+    serveExample(req, res) {
+      const match = req.openAPIOperation;
+      const example = getExampleResponse(document, match.operation);
+
+      req.matched = { type: 'openapi', method: match.method, path: match.path };
+      options.log('openapi.example.served', { method: req.method, url: req.originalUrl, path: match.path });
+      res.status(example.status);
+      if (typeof example.body === 'undefined') {
+        return res.end();
+      }
+      return res.json(example.body);
+    }
+  };
+}
+
+function getOpenAPIOptions(openapi) {
+  const settings = typeof openapi === 'object' && !isDocument(openapi)
+    ? { ...DEFAULT_OPENAPI_OPTIONS, ...openapi }
+    : { ...DEFAULT_OPENAPI_OPTIONS, document: openapi };
+
+  ['validateRequests', 'validateResponses'].forEach(key => {
+    if (!VALIDATION_LEVELS.includes(settings[key])) {
+      throw Error(`Invalid openapi.${key} '${settings[key]}', expected 'fail', 'warn' or false`);
+    }
+  });
+
+  return settings;
+}
+
+function isDocument(value) {
+  return Boolean(value.openapi || value.swagger);
+}
+
+function loadDocument(document, encoding) {
+  if (document && typeof document === 'object') {
+    return document;
+  }
+  if (typeof document !== 'string') {
+    throw Error('The openapi option requires a document or the path of one');
+  }
+
+  try {
+    const data = fs.readFileSync(document, encoding);
+    return ['.yaml', '.yml'].includes(extname(document))
+      ? yaml.safeLoad(data)
+      : JSON.parse(data);
+  } catch (e) {
+    throw Error(`Couldn't load the OpenAPI document ${document}: ${e.message}`);
+  }
+}
+
+// Flattens the document's paths into operations, each with a RegExp matching
+// request paths, including the base path of the API
+function getOperations(document) {
+  const basePath = getBasePath(document);
+
+  return Object.keys(document.paths || {}).reduce((operations, path) => {
+    const pathItem = resolve(document, document.paths[path]);
+    const paramNames = [];
+    const pattern = path
+      .split(/\{([^}]+)\}/)
+      .map((part, index) => {
+        if (index % 2 === 1) {
+          paramNames.push(part);
+          return '([^/]+)';
+        }
+        return escapeRegExp(part);
+      })
+      .join('');
+    const regexp = new RegExp(`^${escapeRegExp(basePath)}${pattern}/?$`);
+
+    HTTP_METHODS
+      .filter(method => pathItem[method])
+      .forEach(method => {
+        operations.push({
+          method,
+          path,
+          regexp,
+          paramNames,
+          operation: pathItem[method],
+          parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+        });
+      });
+
+    return operations;
+  }, []);
+}
+
+function getBasePath(document) {
+  if (document.basePath) {
+    return document.basePath.replace(/\/$/, '');
+  }
+  const [server] = document.servers || [];
+  if (!server || !server.url) {
+    return '';
+  }
+  // Server URLs may be absolute or relative to the document
+  return server.url.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\/$/, '');
+}
+
+function findOperation(operations, req) {
+  const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+
+  for (const operation of operations) {
+    const match = operation.method === method && req.path.match(operation.regexp);
+    if (match) {
+      const params = operation.paramNames.reduce((params, name, index) => {
+        return { ...params, [name]: decodeURIComponent(match[index + 1]) };
+      }, {});
+      return { ...operation, params };
+    }
+  }
+
+  return null;
+}
+
+// Parses JSON and form bodies ahead of validation, keeping the raw body
+// around for the production API like the override body parsers do
+function parseBody(req, res, middleware, callback) {
+  const [json, urlencoded] = middleware;
+  json(req, res, (err) => {
+    if (err) {
+      return callback(err);
+    }
+    return urlencoded(req, res, callback);
+  });
+}
+
+function verify(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+function validateRequest(req, document, match) {
+  const { operation, parameters, params } = match;
+  const errors = [];
+
+  parameters.map(parameter => resolve(document, parameter)).forEach(parameter => {
+    if (parameter.in === 'body') {
+      return validateBody(req, document, parameter.required, parameter.schema, errors);
+    }
+    const value = getParameterValue(req, params, parameter);
+    if (typeof value === 'undefined') {
+      if (parameter.required) {
+        errors.push(`${parameter.in}.${parameter.name} is required`);
+      }
+      return null;
+    }
+    const schema = parameter.schema || parameter;
+    const name = `${parameter.in}.${parameter.name}`;
+    return validate(document, coerce(document, value, resolve(document, schema)), schema, name, errors);
+  });
+
+  if (operation.requestBody) {
+    const requestBody = resolve(document, operation.requestBody);
+    const schema = getJSONSchema(requestBody.content);
+    validateBody(req, document, requestBody.required, schema, errors);
+  }
+
+  return errors;
+}
+
+function validateBody(req, document, required, schema, errors) {
+  const hasBody = req.rawBody && req.rawBody.length > 0;
+  if (!hasBody) {
+    if (required) {
+      errors.push('body is required');
+    }
+    return;
+  }
+  if (schema) {
+    validate(document, req.body, schema, 'body', errors);
+  }
+}
+
+function getParameterValue(req, params, parameter) {
+  const { name } = parameter;
+  const sources = { path: params, query: req.query, header: req.headers };
+  const source = sources[parameter.in] || {};
+  return source[parameter.in === 'header' ? name.toLowerCase() : name];
+}
+
+// Parameters arrive as strings, so are converted to the type of their schema
+// before being validated
+function coerce(document, value, schema) {
+  const type = getType(schema);
+  if (type === 'integer' || type === 'number') {
+    return value !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (type === 'boolean') {
+    return { true: true, false: false }[value] || value;
+  }
+  if (type === 'array' && typeof value === 'string') {
+    return value.split(',').map(item => coerce(document, item, resolve(document, schema.items)));
+  }
+  return value;
+}
+
+// Wraps res.send to validate JSON responses against the operation's schema
+// for their status. onInvalid returns whether to replace the response with
+// a 500.
+function checkResponses(req, res, document, operation, onInvalid) {
+  const { send } = res;
+
+  res.send = function(body) {
+    res.send = send;
+    const schema = getResponseSchema(document, operation, res.statusCode);
+    const contentType = res.get('Content-Type');
+    if (!schema || (contentType && !JSON_MEDIA_TYPE_REGEXP.test(contentType))) {
+      return send.apply(res, arguments);
+    }
+
+    let data;
+    try {
+      data = typeof body === 'string' || Buffer.isBuffer(body) ? JSON.parse(body.toString()) : body;
+    } catch (e) {
+      return send.apply(res, arguments);
+    }
+
+    const errors = [];
+    validate(document, data, schema, 'body', errors);
+    if (errors.length > 0 && onInvalid(errors)) {
+      return res
+        .status(500)
+        .json({ error: 'Response does not match the OpenAPI document', errors });
+    }
+    return send.apply(res, arguments);
+  };
+}
+
+function getResponseSchema(document, operation, status) {
+  const responses = operation.responses || {};
+  const response = responses[status] || responses[`${String(status)[0]}XX`] || responses.default;
+  if (!response) {
+    return null;
+  }
+  const { content, schema } = resolve(document, response);
+  return content ? getJSONSchema(content) : schema || null;
+}
+
+function getJSONSchema(content = {}) {
+  const mediaType = Object.keys(content).find(type => JSON_MEDIA_TYPE_REGEXP.test(type));
+  return mediaType ? content[mediaType].schema || null : null;
+}
+
+// The example for the first successful response of an operation, given in
+// the document or generated from its schema
+function getExampleResponse(document, operation) {
+  const responses = operation.responses || {};
+  const status = Object.keys(responses).sort().find(code => /^2/.test(code)) ||
+    (responses.default && 'default');
+  if (!status) {
+    return null;
+  }
+
+  const response = resolve(document, responses[status]);
+  const code = status === 'default' ? 200 : Number(status.replace(/X/g, '0'));
+
+  // OpenAPI 3
+  if (response.content) {
+    const mediaType = Object.keys(response.content).find(type => JSON_MEDIA_TYPE_REGEXP.test(type));
+    if (!mediaType) {
+      return { status: code };
+    }
+    const { example, examples, schema } = response.content[mediaType];
+    if (typeof example !== 'undefined') {
+      return { status: code, body: example };
+    }
+    if (examples && Object.keys(examples).length > 0) {
+      const firstExample = resolve(document, examples[Object.keys(examples)[0]]);
+      return { status: code, body: firstExample.value };
+    }
+    return { status: code, body: schema ? generateExample(document, schema) : null };
+  }
+
+  // Swagger 2
+  const swaggerExample = response.examples && response.examples['application/json'];
+  if (typeof swaggerExample !== 'undefined') {
+    return { status: code, body: swaggerExample };
+  }
+  if (response.schema) {
+    return { status: code, body: generateExample(document, response.schema) };
+  }
+  return { status: code };
+}
+
+function generateExample(document, schemaOrRef, depth = 0) {
+  const schema = resolve(document, schemaOrRef);
+
+  if (typeof schema.example !== 'undefined') {
+    return schema.example;
+  }
+  if (typeof schema.default !== 'undefined') {
+    return schema.default;
+  }
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  if (schema.allOf) {
+    return schema.allOf.reduce((example, subschema) => {
+      return { ...example, ...generateExample(document, subschema, depth + 1) };
+    }, {});
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return generateExample(document, (schema.oneOf || schema.anyOf)[0], depth + 1);
+  }
+  if (depth > MAX_EXAMPLE_DEPTH) {
+    return null;
+  }
+
+  switch (getType(schema)) {
+    case 'object':
+      return Object.keys(schema.properties || {}).reduce((example, key) => {
+        return { ...example, [key]: generateExample(document, schema.properties[key], depth + 1) };
+      }, {});
+    case 'array':
+      return schema.items ? [generateExample(document, schema.items, depth + 1)] : [];
+    case 'string':
+      return getStringExample(schema);
+    case 'integer':
+    case 'number':
+      return Number.isFinite(schema.minimum) ? schema.minimum : 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+function getStringExample(schema) {
+  switch (schema.format) {
+    case 'date':
+      return '2016-01-01';
+    case 'date-time':
+      return '2016-01-01T00:00:00Z';
+    case 'email':
+      return 'user@example.com';
+    case 'uri':
+    case 'url':
+      return 'http://example.com';
+    case 'uuid':
+      return '00000000-0000-4000-8000-000000000000';
+    default:
+      return 'string';
+  }
+}
+
+// Checks a value against the subset of JSON Schema used by OpenAPI, pushing
+// a message for each mismatch onto `errors`
+function validate(document, value, schemaOrRef, path, errors) {
+  const schema = resolve(document, schemaOrRef);
+
+  if (value === null && (schema.nullable || schema['x-nullable'])) {
+    return;
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validate(document, value, subschema, path, errors));
+  }
+  if (schema.oneOf || schema.anyOf) {
+    const subschemas = schema.oneOf || schema.anyOf;
+    const matches = subschemas.some(subschema => {
+      const subErrors = [];
+      validate(document, value, subschema, path, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push(`${path} does not match any of the allowed schemas`);
+    }
+  }
+
+  const type = getType(schema);
+  if (type && !hasType(value, type)) {
+    errors.push(`${path} should be ${type === 'integer' || type === 'array' ? 'an' : 'a'} ${type}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters`);
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validate(document, item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        validate(document, value[key], properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(document, value[key], schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    });
+  }
+}
+
+function getType(schema) {
+  if (schema.type) {
+    return schema.type;
+  }
+  return schema.properties ? 'object' : null;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'object':
+      return isObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+    case 'boolean':
+      return typeof value === type;
+    default:
+      return true;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Throws unless every $ref in the document is a local reference to a part of
+// it, so that a document that can't be followed fails on start rather than
+// on the first request it describes
+function validateReferences(document) {
+  const visited = new Set();
+  const visit = node => {
+    if (node === null || typeof node !== 'object' || visited.has(node)) {
+      return;
+    }
+    visited.add(node);
+    if (typeof node.$ref === 'string') {
+      const { $ref: ref } = node;
+      if (!ref.startsWith('#/')) {
+        throw Error(`Unsupported reference '${ref}' in the OpenAPI document; only local references are supported`);
+      }
+      if (!lookUp(document, ref)) {
+        throw Error(`Unresolved reference '${ref}' in the OpenAPI document`);
+      }
+    }
+    Object.keys(node).forEach(key => visit(node[key]));
+  };
+
+  visit(document);
+}
+
+// Follows local references, such as #/components/schemas/User
+function resolve(document, value) {
+  let resolved = value || {};
+  const seen = new Set();
+
+  while (document && resolved.$ref && !seen.has(resolved.$ref)) {
+    seen.add(resolved.$ref);
+    resolved = lookUp(document, resolved.$ref) || {};
+  }
+
+  return resolved;
+}
+
+function lookUp(document, ref) {
+  return ref
+    .slice(2)
+    .split('/')
+    .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node ? node[key] : null), document);
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
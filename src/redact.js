@@ -0,0 +1,137 @@
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+// Applies the `redact` option to a response fetched from production before
+// it is saved as a fixture: values at `paths` or under `keys` are replaced,
+// `patterns` are replaced within strings, `headers` are dropped from the
+// metadata, and the result is passed through the `transform` hook.
+export function redactResponse(redact, response, context) {
+  if (!redact) {
+    return response;
+  }
+
+  const {
+    paths = [],
+    keys = [],
+    patterns = [],
+    headers = [],
+    replacement = DEFAULT_REPLACEMENT,
+    transform
+  } = redact;
+  const rules = {
+    paths: paths.map(parsePath),
+    keys,
+    patterns: patterns.map(toGlobalRegExp),
+    replacement
+  };
+  let { data, meta } = response;
+
+  if (context.isJson) {
+    data = redactValue(data, [], rules);
+  } else if (typeof data === 'string') {
+    data = redactString(data, rules);
+  }
+
+  if (meta && headers.length > 0) {
+    meta = { ...meta, headers: dropHeaders(meta.headers, headers) };
+  }
+
+  if (typeof transform === 'function') {
+    data = transform(data, { ...context, meta });
+  }
+
+  return { data, meta };
+}
+
+// Throws unless the patterns of the `redact` option are RegExps, or strings
+// that compile to one, as a JSON config file can only hold strings
+export function validateRedact(redact) {
+  const { patterns = [] } = redact || {};
+
+  if (!Array.isArray(patterns)) {
+    throw Error('Invalid redact.patterns, expected an array of RegExps or strings');
+  }
+  patterns.forEach(pattern => {
+    if (!(pattern instanceof RegExp) && typeof pattern !== 'string') {
+      throw Error(`Invalid redact pattern '${pattern}', expected a RegExp or string`);
+    }
+    try {
+      toGlobalRegExp(pattern);
+    } catch (e) {
+      throw Error(`Invalid redact pattern '${pattern}': ${e.message}`);
+    }
+  });
+}
+
+// Splits a path such as 'users[].email' or 'accounts.*.token' into keys,
+// where '[]' matches any array index and '*' any key
+function parsePath(path) {
+  return path
+    .replace(/\[\]/g, '.[]')
+    .split('.')
+    .filter(key => key.length > 0);
+}
+
+function toGlobalRegExp(pattern) {
+  if (typeof pattern === 'string') {
+    return new RegExp(pattern, 'g');
+  }
+  return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+function redactValue(value, path, rules) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactNode(item, [...path, '[]'], rules));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).reduce((redacted, key) => {
+      const keyPath = [...path, key];
+      redacted[key] = matchesKey(key, rules.keys)
+        ? rules.replacement
+        : redactNode(value[key], keyPath, rules);
+      return redacted;
+    }, {});
+  }
+  if (typeof value === 'string') {
+    return redactString(value, rules);
+  }
+  return value;
+}
+
+function redactNode(value, path, rules) {
+  return rules.paths.some(redactedPath => matchesPath(path, redactedPath))
+    ? rules.replacement
+    : redactValue(value, path, rules);
+}
+
+function matchesPath(path, redactedPath) {
+  return path.length === redactedPath.length &&
+    redactedPath.every((key, index) => {
+      if (key === '*') {
+        return path[index] !== '[]';
+      }
+      return key === path[index];
+    });
+}
+
+function matchesKey(key, keys) {
+  return keys.some(pattern => {
+    return pattern instanceof RegExp
+      ? pattern.test(key)
+      : pattern.toLowerCase() === key.toLowerCase();
+  });
+}
+
+function redactString(value, rules) {
+  return rules.patterns.reduce((redacted, pattern) => {
+    return redacted.replace(pattern, rules.replacement);
+  }, value);
+}
+
+function dropHeaders(headers, names) {
+  return Object.keys(headers).reduce((kept, name) => {
+    if (!matchesKey(name, names)) {
+      kept[name] = headers[name];
+    }
+    return kept;
+  }, {});
+}
@@ -0,0 +1,202 @@
+import bodyParser from 'body-parser';
+import fs from 'fs';
+
+const DEFAULT_RESOURCE_OPTIONS = {
+  idKey: 'id'
+};
+
+// Registers REST routes for each of the in-memory collections specified in
+// the `resources` option, and returns a handle for inspecting and resetting
+// them between tests.
+export function delegateResources(app, options) {
+  const { resources, bodyLimit, log } = options;
+  const collections = {};
+  const jsonMiddleware = [
+    bodyParser.json({ limit: bodyLimit }),
+    bodyParser.urlencoded({ extended: true, limit: bodyLimit })
+  ];
+
+  Object.keys(resources).forEach(route => {
+    const resourceOptions = getResourceOptions(resources[route]);
+    const seed = loadSeed(route, resourceOptions, options);
+    const collection = {
+      ...resourceOptions,
+      seed,
+      records: copy(seed)
+    };
+    const memberRoute = `${route.replace(/\/$/, '')}/:id`;
+    const match = (req) => {
+      req.matched = { type: 'resource', route };
+      log('resource.served', { method: req.method, url: req.originalUrl, route });
+    };
+
+    collections[route] = collection;
+
+    app.get(route, (req, res) => {
+      match(req);
+      listRecords(req, res, collection);
+    });
+
+    app.post(route, jsonMiddleware, (req, res) => {
+      match(req);
+      createRecord(req, res, collection);
+    });
+
+    app.get(memberRoute, (req, res) => {
+      match(req);
+      withRecord(req, res, collection, record => res.json(record));
+    });
+
+    app.put(memberRoute, jsonMiddleware, (req, res) => {
+      match(req);
+      withRecord(req, res, collection, (record, index) => {
+        const { idKey } = collection;
+        collection.records[index] = { ...req.body, [idKey]: record[idKey] };
+        res.json(collection.records[index]);
+      });
+    });
+
+    app.patch(memberRoute, jsonMiddleware, (req, res) => {
+      match(req);
+      withRecord(req, res, collection, (record, index) => {
+        const { idKey } = collection;
+        collection.records[index] = { ...record, ...req.body, [idKey]: record[idKey] };
+        res.json(collection.records[index]);
+      });
+    });
+
+    app.delete(memberRoute, (req, res) => {
+      match(req);
+      withRecord(req, res, collection, (_record, index) => {
+        collection.records.splice(index, 1);
+        res.status(204).end();
+      });
+    });
+  });
+
+  return {
+    records(route) {
+      if (!collections[route]) {
+        throw Error(`No resource defined for '${route}'`);
+      }
+      return collections[route].records;
+    },
+
+    // Restores every collection, or only the one at `route`, to its seed
+    reset(route) {
+      const routes = route ? [route] : Object.keys(collections);
+      routes.forEach(route => {
+        if (!collections[route]) {
+          throw Error(`No resource defined for '${route}'`);
+        }
+        collections[route].records = copy(collections[route].seed);
+      });
+    }
+  };
+}
+
+// A resource may be specified as the path of its seed fixture, as an array
+// of seed records, or as an object of options.
+function getResourceOptions(resource) {
+  if (typeof resource === 'string') {
+    return { ...DEFAULT_RESOURCE_OPTIONS, fixture: resource };
+  }
+  if (Array.isArray(resource)) {
+    return { ...DEFAULT_RESOURCE_OPTIONS, records: resource };
+  }
+  return { ...DEFAULT_RESOURCE_OPTIONS, ...resource };
+}
+
+function loadSeed(route, resourceOptions, options) {
+  const { fixture, records = [] } = resourceOptions;
+  const { fixturesPath, encoding } = options;
+
+  if (!fixture) {
+    return copy(records);
+  }
+
+  const fileName = `${fixturesPath}/${fixture.replace(/^\//, '')}.json`;
+  let seed;
+  try {
+    seed = JSON.parse(fs.readFileSync(fileName, encoding));
+  } catch (e) {
+    throw Error(`Couldn't seed resource '${route}' from ${fileName}: ${e}`);
+  }
+
+  if (!Array.isArray(seed)) {
+    throw Error(`Couldn't seed resource '${route}' from ${fileName}: expected an array of records`);
+  }
+
+  return seed;
+}
+
+// Lists records, paginated when `page` or `per_page` is in the query string
+function listRecords(req, res, collection) {
+  const { records } = collection;
+  const { page, per_page: perPage } = req.query;
+
+  res.set('X-Total-Count', String(records.length));
+
+  if (!page && !perPage) {
+    return res.json(records);
+  }
+
+  const pageSize = Math.max(parseInt(perPage, 10) || 10, 1);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const start = (pageNumber - 1) * pageSize;
+
+  return res.json(records.slice(start, start + pageSize));
+}
+
+function createRecord(req, res, collection) {
+  const { idKey, records } = collection;
+  const id = hasValue(req.body[idKey]) ? req.body[idKey] : getNextId(records, idKey);
+
+  if (findIndex(records, idKey, id) !== -1) {
+    return res
+      .status(409)
+      .json({ error: `A record with ${idKey} '${id}' already exists` });
+  }
+
+  const record = { ...req.body, [idKey]: id };
+  records.push(record);
+
+  return res
+    .status(201)
+    .location(`${req.baseUrl}${req.path.replace(/\/$/, '')}/${encodeURIComponent(id)}`)
+    .json(record);
+}
+
+function withRecord(req, res, collection, callback) {
+  const { idKey, records } = collection;
+  const index = findIndex(records, idKey, req.params.id);
+
+  if (index === -1) {
+    return res
+      .status(404)
+      .json({ error: `No record with ${idKey} '${req.params.id}'` });
+  }
+
+  return callback(records[index], index);
+}
+
+// IDs from the URL are strings, so records are matched on string values
+function findIndex(records, idKey, id) {
+  return records.findIndex(record => String(record[idKey]) === String(id));
+}
+
+function getNextId(records, idKey) {
+  const ids = records
+    .map(record => Number(record[idKey]))
+    .filter(id => Number.isFinite(id));
+
+  return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+}
+
+function hasValue(value) {
+  return value !== null && typeof value !== 'undefined';
+}
+
+function copy(records) {
+  return JSON.parse(JSON.stringify(records));
+}
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import { basename, join } from 'path';
+import { parseCookies } from './matchers';
+
+export const SCENARIO_HEADER = 'x-highwind-scenario';
+export const SCENARIO_COOKIE = 'highwind_scenario';
+const DEFAULT_SCENARIOS_DIRECTORY = '__scenarios';
+
+// Scenarios are directories of fixtures layered over fixturesPath, kept in
+// the scenariosPath option or a __scenarios directory within fixturesPath.
+// Route segments starting with '__' are encoded in fixture file names, so
+// the default directory never clashes with a route.
+export function getScenariosPath(options) {
+  return options.scenariosPath || join(options.fixturesPath, DEFAULT_SCENARIOS_DIRECTORY);
+}
+
+export function listScenarios(scenariosPath) {
+  if (!fs.existsSync(scenariosPath)) {
+    return [];
+  }
+  return fs.readdirSync(scenariosPath)
+    .filter(name => fs.statSync(join(scenariosPath, name)).isDirectory())
+    .sort();
+}
+
+// Throws unless name is that of a directory in scenariosPath. Names come from
+// request headers and cookies, so anything that could lead outside it, such
+// as '..', is rejected.
+export function validateScenario(scenariosPath, name) {
+  const isDirectory = typeof name === 'string' &&
+    basename(name) === name &&
+    !name.startsWith('.') &&
+    fs.existsSync(join(scenariosPath, name)) &&
+    fs.statSync(join(scenariosPath, name)).isDirectory();
+
+  if (!isDirectory) {
+    throw Error(`Unknown scenario '${name}', expected one of: ${listScenarios(scenariosPath).join(', ')}`);
+  }
+}
+
+// Selects the scenario for each request, as req.scenario, from the
+// X-Highwind-Scenario header, then the highwind_scenario cookie, then the
+// one active for the instance. Responds with a 400 for unknown scenarios.
+export function createScenarioMiddleware(scenariosPath, getActiveScenario) {
+  return (req, res, next) => {
+    const scenario = req.get(SCENARIO_HEADER) ||
+      parseCookies(req.get('cookie'))[SCENARIO_COOKIE] ||
+      getActiveScenario();
+
+    if (scenario) {
+      try {
+        validateScenario(scenariosPath, scenario);
+      } catch (e) {
+        return res
+          .status(400)
+          .json({ error: e.message });
+      }
+      req.scenario = scenario;
+    }
+    return next();
+  };
+}
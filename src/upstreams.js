@@ -0,0 +1,66 @@
+// Options an upstream can set for the requests routed to it, over those
+// Highwind was started with
+const UPSTREAM_OPTIONS = [
+  'forwardHeaders',
+  'prodHeaders',
+  'prodRootURL',
+  'queryStringIgnore',
+  'redact',
+  'saveFixtures',
+  'varyHeaders'
+];
+
+// Reads the upstreams option, an object of upstream backends by name, e.g.
+// { auth: { prefix: '/auth', prodRootURL: 'https://auth.example.com' } },
+// into the order requests are matched against them. Each keeps its fixtures
+// in a subdirectory of fixturesPath, named after it unless it gives another.
+export function getUpstreams(options) {
+  const upstreams = options.upstreams || {};
+
+  return Object.keys(upstreams).map(name => {
+    const upstream = upstreams[name];
+    const { prefix, host, fixturesPath = name } = upstream;
+
+    if (typeof upstream.prodRootURL !== 'string') {
+      throw Error(`Missing definition of prodRootURL for upstream '${name}'`);
+    }
+    if (typeof prefix !== 'string' && typeof host !== 'string') {
+      throw Error(`Upstream '${name}' needs a prefix or host to match requests with`);
+    }
+    if (typeof prefix === 'string' && !prefix.startsWith('/')) {
+      throw Error(`Invalid prefix '${prefix}' for upstream '${name}', expected a path starting with '/'`);
+    }
+
+    return {
+      name,
+      prefix: typeof prefix === 'string' ? prefix.replace(/\/+$/, '') : null,
+      host: typeof host === 'string' ? host.toLowerCase() : null,
+      directory: fixturesPath,
+      settings: UPSTREAM_OPTIONS
+        .filter(key => key in upstream)
+        .reduce((settings, key) => ({ ...settings, [key]: upstream[key] }), {})
+    };
+  });
+}
+
+// The first upstream whose host and prefix, of those it has, match the request
+export function matchUpstream(req, upstreams) {
+  const hosts = [req.hostname, req.get('host')]
+    .filter(Boolean)
+    .map(host => host.toLowerCase());
+
+  return upstreams.find(({ prefix, host }) => {
+    return (!host || hosts.includes(host)) &&
+      (prefix === null || req.path === prefix || req.path.startsWith(`${prefix}/`));
+  }) || null;
+}
+
+// Removes the upstream's prefix from the path the request is fetched from
+// upstream with, and saved under, e.g. '/auth/login?next=/' to '/login?next=/'
+export function stripPrefix(path, upstream) {
+  if (!upstream || !upstream.prefix) {
+    return path;
+  }
+  const rest = path.slice(upstream.prefix.length);
+  return rest.startsWith('/') ? rest : `/${rest}`;
+}
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+
+const WATCH_INTERVAL = 250;
+
+// Watches files for changes, emitting 'change' with the name and kind of
+// each file that changed. Files are polled rather than watched through
+// fs.watch, which misses files replaced by editors and files that don't
+// exist yet.
+export function createWatcher() {
+  const watcher = new EventEmitter();
+  const listeners = new Map();
+
+  watcher.add = (fileName, kind) => {
+    if (listeners.has(fileName)) {
+      return;
+    }
+    const listener = (current, previous) => {
+      if (current.mtime.getTime() !== previous.mtime.getTime()) {
+        watcher.emit('change', fileName, kind);
+      }
+    };
+    listeners.set(fileName, { kind, listener });
+    // Not persistent, so that watching never keeps the process alive
+    fs.watchFile(fileName, { interval: WATCH_INTERVAL, persistent: false }, listener);
+  };
+
+  watcher.files = (kind) => {
+    return [...listeners.keys()].filter(fileName => listeners.get(fileName).kind === kind);
+  };
+
+  watcher.close = () => {
+    listeners.forEach(({ listener }, fileName) => fs.unwatchFile(fileName, listener));
+    listeners.clear();
+  };
+
+  return watcher;
+}